@@ -0,0 +1,45 @@
+import { parseArgs } from "node:util";
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { generateApiKey, hashApiKey } from "../x402/api-keys.js";
+
+// Creates a facilitator API key. The key itself is printed once; only its hash
+// goes into the keys file read through FACILITATOR_API_KEYS_PATH.
+//
+//   node bin/api-key.js --id weather-server [--network eip155:9745] [--pay-to 0x...] [--file keys.json]
+
+const { values } = parseArgs({
+  options: {
+    id: { type: "string" },
+    network: { type: "string", multiple: true },
+    "pay-to": { type: "string", multiple: true },
+    file: { type: "string" },
+  },
+});
+
+if (!values.id) {
+  console.error("Usage: node bin/api-key.js --id <name> [--network <id>]... [--pay-to <address>]... [--file <keys.json>]");
+  process.exit(1);
+}
+
+const key = generateApiKey();
+const entry = {
+  id: values.id,
+  hash: hashApiKey(key),
+  ...(values.network && { networks: values.network }),
+  ...(values["pay-to"] && { payTo: values["pay-to"] }),
+};
+
+if (values.file) {
+  const doc = existsSync(values.file) ? JSON.parse(readFileSync(values.file, "utf-8")) : { keys: [] };
+  if (doc.keys.some((existing) => existing.id === entry.id)) {
+    console.error(`A key with id "${entry.id}" already exists in ${values.file}`);
+    process.exit(1);
+  }
+  doc.keys.push(entry);
+  writeFileSync(values.file, JSON.stringify(doc, null, 2) + "\n");
+  console.log(`Added "${entry.id}" to ${values.file}`);
+} else {
+  console.log(JSON.stringify(entry, null, 2));
+}
+
+console.log(`\nAPI key (shown once, set it as FACILITATOR_API_KEY on the resource server):\n${key}`);
@@ -0,0 +1,28 @@
+import { config } from "dotenv";
+import { createChainRegistry } from "../x402/chains.js";
+import { createFakeFacilitator } from "../x402/fake-facilitator.js";
+
+// Serves the scriptable fake facilitator (x402/fake-facilitator.js) for tests
+// that run the resource server in another process. Point FACILITATOR_URL at it
+// and script outcomes through its /fake/* endpoints.
+//
+//   node bin/fake-facilitator.js                 (npm run facilitator:fake)
+//   curl -X POST localhost:4022/fake/settle -H 'Content-Type: application/json' \
+//     -d '{"outcome": "settlementFailed", "times": 1}'
+
+config();
+
+const PORT = process.env.FAKE_FACILITATOR_PORT || 4022;
+
+let registry;
+try {
+  registry = createChainRegistry({ chainsPath: process.env.CHAINS_PATH, networks: process.env.NETWORKS });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const fake = createFakeFacilitator({ networks: registry.networks });
+const { url } = await fake.listen(parseInt(PORT));
+console.log(`Fake facilitator running on ${url} for ${registry.networks.join(", ")}`);
+console.log("Every payment verifies and settles unless scripted through POST /fake/verify or /fake/settle");
@@ -0,0 +1,47 @@
+import { config } from "dotenv";
+import express from "express";
+import { createChainRegistry } from "../x402/chains.js";
+import { createLocalChain, createLocalChainRouter } from "../x402/local-chain.js";
+
+// Runs the offline chain stand-in (x402/local-chain.js) for the registry's
+// default network: same chainId, its tokens at their usual addresses, and
+// Multicall3. Point the other components at it with RPC_URL, then fund accounts
+// with bin/seed-local-chain.js.
+//
+//   node bin/local-chain.js                 (npm run chain)
+//   RPC_URL=http://localhost:8545 npm run demo:http
+
+config();
+
+const PORT = process.env.LOCAL_CHAIN_PORT || 8545;
+const STATE_PATH =
+  process.env.LOCAL_CHAIN_STATE_PATH || new URL("../x402/local-chain-state.json", import.meta.url).pathname;
+const BLOCK_TIME_MS = process.env.LOCAL_CHAIN_BLOCK_TIME_MS || "1000";
+
+let registry;
+try {
+  if (!/^\d+$/.test(BLOCK_TIME_MS)) throw new Error("LOCAL_CHAIN_BLOCK_TIME_MS must be a whole number of milliseconds");
+  registry = createChainRegistry({ chainsPath: process.env.CHAINS_PATH, networks: process.env.NETWORKS });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const network = registry.defaultNetwork;
+const chain = registry.getChain(network);
+const localChain = createLocalChain({
+  chainId: chain.chainId,
+  tokens: Object.entries(chain.tokens || {}).map(([symbol, token]) => ({ symbol, ...token })),
+  multicallAddress: registry.multicallAddress(network),
+  statePath: STATE_PATH,
+  blockTimeMs: Number(BLOCK_TIME_MS),
+});
+
+const app = express();
+app.use(createLocalChainRouter(localChain));
+
+app.listen(parseInt(PORT), () => {
+  console.log(`Local ${registry.describe(network)} running on http://localhost:${PORT}`);
+  console.log(`Tokens: ${Object.keys(chain.tokens || {}).join(", ") || "none"}; state in ${STATE_PATH}`);
+  console.log(`Use it with RPC_URL=http://localhost:${PORT}, and fund accounts with: npm run chain:seed`);
+});
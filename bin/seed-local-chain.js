@@ -0,0 +1,68 @@
+import { config } from "dotenv";
+import { parseArgs } from "node:util";
+import { parseEther, parseUnits, toHex } from "viem";
+import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { createChainRegistry } from "../x402/chains.js";
+import { createJsonRpc } from "../x402/json-rpc.js";
+import { DEFAULT_ASSET } from "../x402/config.js";
+
+// Funds test accounts on the local chain (bin/local-chain.js) with gas and
+// tokens. Accounts 0..N-1 of each mnemonic are funded, so every facilitator
+// signer of FACILITATOR_SIGNERS is covered; the mnemonic defaults to MNEMONIC.
+//
+//   node bin/seed-local-chain.js [--mnemonic "<words>"]... [--accounts 3] [--address 0x...]...
+//                                [--token USDT0] [--amount 1000] [--gas 10]      (npm run chain:seed)
+
+config();
+
+const { values } = parseArgs({
+  options: {
+    mnemonic: { type: "string", multiple: true },
+    accounts: { type: "string", default: "3" },
+    address: { type: "string", multiple: true },
+    token: { type: "string", default: DEFAULT_ASSET },
+    amount: { type: "string", default: "1000" },
+    gas: { type: "string", default: "10" },
+  },
+});
+
+const mnemonics = values.mnemonic || (process.env.MNEMONIC ? [process.env.MNEMONIC] : []);
+if (mnemonics.length === 0 && !values.address) {
+  console.error("Nothing to fund: set MNEMONIC, or pass --mnemonic or --address");
+  process.exit(1);
+}
+if (!/^[1-9]\d*$/.test(values.accounts)) {
+  console.error("--accounts must be a positive integer");
+  process.exit(1);
+}
+
+const rpcUrl = process.env.RPC_URL || `http://localhost:${process.env.LOCAL_CHAIN_PORT || 8545}`;
+const registry = createChainRegistry({ chainsPath: process.env.CHAINS_PATH, networks: process.env.NETWORKS, rpcUrl });
+const network = registry.defaultNetwork;
+const token = registry.findToken(network, values.token);
+if (!token) {
+  console.error(`Token ${values.token} is not in the chain registry for ${registry.describe(network)}`);
+  process.exit(1);
+}
+
+const addresses = [...(values.address || [])];
+for (const mnemonic of mnemonics) {
+  const wallet = new WalletManagerEvm(mnemonic, { provider: rpcUrl });
+  for (let index = 0; index < Number(values.accounts); index++) {
+    addresses.push((await wallet.getAccount(index)).address);
+  }
+}
+
+const rpc = createJsonRpc(rpcUrl);
+const gas = toHex(parseEther(values.gas));
+const amount = toHex(parseUnits(values.amount, token.decimals));
+try {
+  for (const address of addresses) {
+    await rpc("local_setBalance", [address, gas]);
+    await rpc("local_mint", [token.address, address, amount]);
+    console.log(`${address}: ${values.gas} native, ${values.amount} ${token.symbol}`);
+  }
+} catch (err) {
+  console.error(`Seeding ${rpcUrl} failed (is bin/local-chain.js running there?):`, err.message);
+  process.exit(1);
+}
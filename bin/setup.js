@@ -4,6 +4,8 @@ import { spawn, execSync } from "node:child_process";
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from "node:fs";
 import { join, dirname } from "node:path";
 import { homedir, platform } from "node:os";
+import { randomBytes } from "node:crypto";
+import { generateApiKey, hashApiKey } from "../x402/api-keys.js";
 
 const cwd = process.cwd();
 const children = [];
@@ -28,7 +30,7 @@ async function writeEnvFile(rl, vars) {
     const overwrite = await ask(rl, "  .env already exists. Overwrite? (y/n): ");
     if (overwrite.toLowerCase() !== "y") {
       console.log("  Keeping existing .env\n");
-      return;
+      return false;
     }
   }
   const content = Object.entries(vars)
@@ -36,6 +38,7 @@ async function writeEnvFile(rl, vars) {
     .join("\n") + "\n";
   writeFileSync(envPath, content);
   console.log("  .env written\n");
+  return true;
 }
 
 function spawnBackground(label, cmd, args) {
@@ -171,17 +174,38 @@ async function chooseFacilitator(rl) {
   return { selfHosted: false, url: SEMANTIC_FACILITATOR_URL };
 }
 
-async function runHttpFlow(rl) {
-  console.log("\n  HTTP Demo Setup\n");
-
-  const { mnemonic, payTo } = await collectEnvVars(rl);
-  const facilitator = await chooseFacilitator(rl);
+const FACILITATOR_KEYS_PATH = "x402/facilitator-keys.json";
 
-  await writeEnvFile(rl, {
+// A self-hosted facilitator only serves callers with an API key, and pushes
+// signed lifecycle events back to the local resource server. Both read their
+// side from the same .env; the key's hash goes into the facilitator's keys file
+// once the .env holding the key itself has been written.
+async function writeSetupEnv(rl, { mnemonic, payTo }, facilitator) {
+  const apiKey = facilitator.selfHosted ? generateApiKey() : null;
+  const written = await writeEnvFile(rl, {
     MNEMONIC: mnemonic,
     PAY_TO_ADDRESS: payTo,
     FACILITATOR_URL: facilitator.url,
+    ...(facilitator.selfHosted && {
+      FACILITATOR_API_KEYS_PATH: FACILITATOR_KEYS_PATH,
+      FACILITATOR_API_KEY: apiKey,
+      EVENT_CALLBACK_ALLOWLIST: "http://localhost:4021/",
+      EVENT_WEBHOOK_SECRET: randomBytes(32).toString("hex"),
+    }),
   });
+  if (written && apiKey) {
+    const keys = { keys: [{ id: "local-server", hash: hashApiKey(apiKey) }] };
+    writeFileSync(join(cwd, FACILITATOR_KEYS_PATH), JSON.stringify(keys, null, 2) + "\n");
+  }
+}
+
+async function runHttpFlow(rl) {
+  console.log("\n  HTTP Demo Setup\n");
+
+  const envVars = await collectEnvVars(rl);
+  const facilitator = await chooseFacilitator(rl);
+
+  await writeSetupEnv(rl, envVars, facilitator);
 
   if (facilitator.selfHosted) {
     console.log("  Starting facilitator...");
@@ -223,14 +247,10 @@ async function finishMcpSetup(rl) {
 async function runMcpFlow(rl) {
   console.log("\n  MCP Demo Setup\n");
 
-  const { mnemonic, payTo } = await collectEnvVars(rl);
+  const envVars = await collectEnvVars(rl);
   const facilitator = await chooseFacilitator(rl);
 
-  await writeEnvFile(rl, {
-    MNEMONIC: mnemonic,
-    PAY_TO_ADDRESS: payTo,
-    FACILITATOR_URL: facilitator.url,
-  });
+  await writeSetupEnv(rl, envVars, facilitator);
 
   console.log("  Installing dashboard dependencies...");
   try {
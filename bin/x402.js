@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+import { config } from "dotenv";
+import { parseArgs } from "node:util";
+import { readFileSync } from "node:fs";
+import { formatEther, formatUnits } from "viem";
+import { x402Client, x402HTTPClient } from "@x402/fetch";
+import { decodePaymentResponseHeader } from "@x402/core/http";
+import { registerExactEvmScheme } from "@x402/evm/exact/client";
+import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { createChainRegistry } from "../x402/chains.js";
+import { selectFundedOption, createWalletBalanceLookup } from "../x402/asset-selection.js";
+import {
+  createSpendingPolicy,
+  spendingPolicyOptionsFromEnv,
+  wrapFetchWithSpendingPolicy,
+} from "../x402/spending-policy.js";
+import { createTrustPolicy, trustPolicyOptionsFromEnv } from "../x402/trust-policy.js";
+
+// Command-line client for probing paid endpoints. `fetch` pays like
+// x402/client.js (funded asset selection, trust policy, SPEND_* limits) and
+// writes the response body to stdout and everything else to stderr, so it pipes
+// like curl. --json writes one JSON object to stdout instead.
+//
+//   node bin/x402.js fetch http://localhost:4021/weather      (npm run x402 -- fetch ...)
+//   node bin/x402.js quote http://localhost:4021/weather
+//   node bin/x402.js receipt <PAYMENT-RESPONSE header>
+
+config({ quiet: true });
+
+const USAGE = `Usage: x402 <command> [options]
+
+Commands:
+  fetch <url>        Request a URL, paying its 402 challenge
+  quote <url>        Print a URL's payment requirements without paying
+  balance            Print the wallet's balances on every registry network
+  receipt [header]   Decode a PAYMENT-RESPONSE header (read from stdin if omitted)
+
+Options:
+  -X, --request <method>   HTTP method (default GET, or POST with --data)
+  -H, --header <header>    Request header "Name: value", repeatable
+  -d, --data <body>        Request body, or @file to read it from a file
+  --max-price <usd>        Refuse to pay more than this for the request (fetch)
+  --json                   Print machine-readable JSON
+  -h, --help               Show this help`;
+
+const COMMANDS = { fetch: fetchCommand, quote: quoteCommand, balance: balanceCommand, receipt: receiptCommand };
+
+function usageError(message) {
+  return Object.assign(new Error(`${message}\n\n${USAGE}`), { code: "usage" });
+}
+
+function createRegistry() {
+  return createChainRegistry({
+    chainsPath: process.env.CHAINS_PATH,
+    networks: process.env.NETWORKS,
+    rpcUrl: process.env.RPC_URL,
+  });
+}
+
+function requireMnemonic() {
+  if (!process.env.MNEMONIC) throw new Error("MNEMONIC environment variable is required");
+  return process.env.MNEMONIC;
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+// "100000 units of 0x..." or, for a registry token, "0.1 USDT0 (~$0.10)".
+function describeAmount(registry, { network, asset, amount }) {
+  const token = registry.networks.includes(network) ? registry.findToken(network, asset) : null;
+  if (!token) return `${amount} units of ${asset}`;
+  const value = formatUnits(BigInt(amount), token.decimals);
+  const usd = Number(value) * (token.usdPrice ?? 1);
+  return `${value} ${token.symbol} (~$${usd < 0.01 ? usd.toPrecision(2) : usd.toFixed(2)})`;
+}
+
+function describeReceipt(registry, receipt) {
+  const lines = [
+    `Settled:     ${receipt.success ? "yes" : `no (${receipt.errorReason || "unknown reason"})`}`,
+    `Network:     ${registry.describe(receipt.network)}`,
+    `Payer:       ${receipt.payer || "unknown"}`,
+  ];
+  if (receipt.transaction) {
+    lines.push(`Transaction: ${receipt.transaction}`);
+    const explorerUrl = registry.explorerTxUrl(receipt.network, receipt.transaction);
+    if (explorerUrl) lines.push(`Explorer:    ${explorerUrl}`);
+  }
+  return lines.join("\n");
+}
+
+// Builds the Request described by -X, -H and -d, like curl.
+function requestFrom(url, values) {
+  if (!url) throw usageError("Missing <url>");
+  let body = values.data;
+  if (body?.startsWith("@")) body = readFileSync(body.slice(1), "utf-8");
+  const headers = new Headers();
+  for (const header of values.header || []) {
+    const index = header.indexOf(":");
+    if (index <= 0) throw usageError(`Invalid header "${header}", expected "Name: value"`);
+    headers.append(header.slice(0, index).trim(), header.slice(index + 1).trim());
+  }
+  const method = (values.request || (body === undefined ? "GET" : "POST")).toUpperCase();
+  try {
+    return new Request(url, { method, headers, body });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!(response.headers.get("content-type") || "").includes("json")) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function fetchCommand([url], values) {
+  const request = requestFrom(url, values);
+  const maxPrice = values["max-price"];
+  if (maxPrice !== undefined && !/^\d+(\.\d+)?$/.test(maxPrice)) {
+    throw usageError(`--max-price must be a decimal USD amount, got "${maxPrice}"`);
+  }
+  const mnemonic = requireMnemonic();
+  const registry = createRegistry();
+  const signer = await new WalletManagerEvm(mnemonic, {
+    provider: registry.rpcUrl(registry.defaultNetwork),
+  }).getAccount();
+
+  const client = new x402Client();
+  registerExactEvmScheme(client, { signer });
+  selectFundedOption(client, createWalletBalanceLookup(mnemonic, registry));
+  let paid = null;
+  client.onAfterPaymentCreation(async ({ selectedRequirements }) => {
+    paid = selectedRequirements;
+    console.error(
+      `Paying ${describeAmount(registry, paid)} on ${registry.describe(paid.network)} to ${paid.payTo} from ${signer.address}`
+    );
+  });
+
+  const policy = createSpendingPolicy({
+    registry,
+    ...spendingPolicyOptionsFromEnv(),
+    ...(maxPrice !== undefined && { maxPerRequestUsd: maxPrice }),
+  });
+  const trustPolicy = createTrustPolicy({ registry, ...trustPolicyOptionsFromEnv() });
+  const fetchWithPayment = wrapFetchWithSpendingPolicy(fetch, client, policy, { trustPolicy });
+
+  const response = await fetchWithPayment(request);
+  const body = await readBody(response);
+
+  // Verify-first servers answer before settling, so the receipt header is often
+  // absent even though the payment was accepted.
+  let receipt = null;
+  if (paid && response.ok) {
+    try {
+      receipt = new x402HTTPClient(client).getPaymentSettleResponse((name) => response.headers.get(name));
+    } catch {
+      receipt = null;
+    }
+  }
+
+  if (values.json) {
+    printJson({
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      body,
+      payment: paid && {
+        network: paid.network,
+        asset: paid.asset,
+        amount: paid.amount,
+        payTo: paid.payTo,
+        accepted: response.ok,
+        receipt,
+      },
+    });
+  } else {
+    console.error(`HTTP ${response.status} ${response.statusText}`);
+    if (paid && !response.ok) console.error("Payment was not accepted");
+    if (receipt) console.error(describeReceipt(registry, receipt));
+    else if (paid && response.ok) console.error("Payment accepted; settlement pending (no PAYMENT-RESPONSE header)");
+    process.stdout.write(typeof body === "string" ? body : `${JSON.stringify(body, null, 2)}\n`);
+  }
+  return response.ok ? 0 : 1;
+}
+
+async function quoteCommand([url], values) {
+  const request = requestFrom(url, values);
+  const registry = createRegistry();
+  const response = await fetch(request);
+  const body = await readBody(response);
+
+  if (response.status !== 402) {
+    if (values.json) printJson({ status: response.status, paymentRequired: null });
+    else console.log(`No payment required (HTTP ${response.status})`);
+    return 0;
+  }
+
+  const paymentRequired = new x402HTTPClient(new x402Client()).getPaymentRequiredResponse(
+    (name) => response.headers.get(name),
+    body
+  );
+  if (values.json) {
+    printJson({ status: response.status, paymentRequired });
+    return 0;
+  }
+
+  const { resource, accepts = [], error } = paymentRequired;
+  console.log(`${request.method} ${request.url} requires payment (x402 v${paymentRequired.x402Version})`);
+  if (resource?.description) console.log(`Resource: ${resource.description}`);
+  if (error) console.log(`Server says: ${error}`);
+  accepts.forEach((option, index) => {
+    console.log(`\n${index + 1}. ${describeAmount(registry, option)}`);
+    console.log(`   Scheme:  ${option.scheme} on ${registry.describe(option.network)}`);
+    console.log(`   Asset:   ${option.asset}`);
+    console.log(`   Amount:  ${option.amount} base units`);
+    console.log(`   Pay to:  ${option.payTo}`);
+    if (option.maxTimeoutSeconds) console.log(`   Valid:   ${option.maxTimeoutSeconds}s`);
+  });
+  return 0;
+}
+
+async function balanceCommand(args, values) {
+  const mnemonic = requireMnemonic();
+  const registry = createRegistry();
+  const results = [];
+  for (const network of registry.networks) {
+    const chain = registry.getChain(network);
+    const result = { network, name: chain.name, address: null, native: null, tokens: {} };
+    try {
+      const account = await new WalletManagerEvm(mnemonic, { provider: registry.rpcUrl(network) }).getAccount();
+      result.address = account.address;
+      result.native = formatEther(await account.getBalance());
+      for (const [symbol, token] of Object.entries(chain.tokens || {})) {
+        result.tokens[symbol] = formatUnits(await account.getTokenBalance(token.address), token.decimals);
+      }
+    } catch (err) {
+      result.error = err.message;
+    }
+    results.push(result);
+  }
+
+  if (values.json) {
+    printJson(results);
+  } else {
+    for (const result of results) {
+      console.log(`${registry.describe(result.network)}${result.address ? `: ${result.address}` : ""}`);
+      if (result.native !== null) console.log(`  native  ${result.native}`);
+      for (const [symbol, balance] of Object.entries(result.tokens)) console.log(`  ${symbol.padEnd(7)} ${balance}`);
+      if (result.error) console.log(`  unavailable: ${result.error}`);
+    }
+  }
+  return results.every((result) => !result.error) ? 0 : 1;
+}
+
+async function receiptCommand([header], values) {
+  if (header === undefined) {
+    if (process.stdin.isTTY) throw usageError("Missing PAYMENT-RESPONSE header");
+    header = readFileSync(0, "utf-8");
+  }
+  // Accept a pasted header line as well as its bare value.
+  const value = header.trim().replace(/^(x-)?payment-response:\s*/i, "");
+  let receipt;
+  try {
+    receipt = decodePaymentResponseHeader(value);
+  } catch (err) {
+    throw new Error(`Not a PAYMENT-RESPONSE header: ${err.message}`);
+  }
+
+  if (values.json) printJson(receipt);
+  else console.log(describeReceipt(createRegistry(), receipt));
+  return receipt.success ? 0 : 1;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        request: { type: "string", short: "X" },
+        header: { type: "string", short: "H", multiple: true },
+        data: { type: "string", short: "d" },
+        "max-price": { type: "string" },
+        json: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+
+  const [command, ...args] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return parsed.values.help ? 0 : 1;
+  }
+  if (!COMMANDS[command]) throw usageError(`Unknown command "${command}"`);
+  return COMMANDS[command](args, parsed.values);
+}
+
+main().then(
+  (exitCode) => process.exit(exitCode),
+  (error) => {
+    console.error(error?.message ?? error);
+    process.exit(error?.code === "usage" ? 2 : 1);
+  }
+);
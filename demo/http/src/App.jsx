@@ -202,7 +202,9 @@ function App() {
           setActiveActor(data.actor || data.target)
           setFlowActive(true)
 
-          if (data.type === 'settle_completed' || data.type === 'settle_failed') {
+          // Step 10 is settlement in verify-first mode and the response in settle-first mode;
+          // step 11 (settle_confirmed) follows once the settlement is final
+          if (data.step === 10 || data.type === 'settle_confirmed' || data.type === 'settle_failed') {
             setTimeout(() => {
               setFlowActive(false)
               setActiveActor(null)
@@ -294,6 +296,7 @@ function App() {
                 'Port': serverStatus?.server?.port || '4021',
                 'Endpoint': 'GET /weather',
                 'Price': '0.0001 USDT0',
+                'Settlement': serverStatus?.server?.settlement || 'verify-first',
                 'Chain': 'Plasma (9745)',
                 'Address': formatAddress(serverStatus?.server?.address),
                 'Pay To': formatAddress(serverStatus?.server?.payTo)
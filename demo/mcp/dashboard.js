@@ -5,12 +5,13 @@ import { readFileSync, existsSync } from "fs";
 import { fileURLToPath } from "url";
 import { join, dirname } from "path";
 import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { createChainRegistry } from "../../x402/chains.js";
+import { DEFAULT_ASSET } from "../../x402/config.js";
 
 config();
 
 const PORT = process.env.DASHBOARD_PORT || 4030;
 const MNEMONIC = process.env.MNEMONIC;
-const USDT0_ADDRESS = "0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb";
 const LOG_PATH = new URL("./mcp-calls.json", import.meta.url).pathname;
 
 if (!MNEMONIC) {
@@ -18,8 +19,16 @@ if (!MNEMONIC) {
   process.exit(1);
 }
 
+const registry = createChainRegistry({
+  chainsPath: process.env.CHAINS_PATH,
+  networks: process.env.NETWORKS,
+  rpcUrl: process.env.RPC_URL,
+});
+const network = registry.defaultNetwork;
+const token = registry.findToken(network, DEFAULT_ASSET);
+
 const walletAccount = await new WalletManagerEvm(MNEMONIC, {
-  provider: "https://rpc.plasma.to",
+  provider: registry.rpcUrl(network),
 }).getAccount();
 
 const app = express();
@@ -30,8 +39,8 @@ const distPath = join(__dirname, "dist");
 
 app.get("/api/balance", async (req, res) => {
   try {
-    const raw = await walletAccount.getTokenBalance(USDT0_ADDRESS);
-    const balance = Number(raw) / 1e6;
+    const raw = await walletAccount.getTokenBalance(token.address);
+    const balance = Number(raw) / 10 ** token.decimals;
     res.json({ address: walletAccount.address, balance, raw: raw.toString() });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1,14 +1,22 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { readFileSync, writeFileSync } from "fs";
-import { x402Client, wrapFetchWithPayment } from "@x402/fetch";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { x402Client } from "@x402/fetch";
 import { registerExactEvmScheme } from "@x402/evm/exact/client";
 import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { createChainRegistry } from "../../x402/chains.js";
+import { selectFundedOption, createWalletBalanceLookup } from "../../x402/asset-selection.js";
+import {
+  createSpendingPolicy,
+  spendingPolicyOptionsFromEnv,
+  wrapFetchWithSpendingPolicy,
+} from "../../x402/spending-policy.js";
+import { createTrustPolicy, trustPolicyOptionsFromEnv } from "../../x402/trust-policy.js";
 
 const mnemonic = process.env.MNEMONIC;
 const baseURL = process.env.RESOURCE_SERVER_URL || "http://localhost:4021";
 const endpointPath = process.env.ENDPOINT_PATH || "/weather";
-const PRICE_USDT0 = 0.0001;
 
 const LOG_PATH = new URL("./mcp-calls.json", import.meta.url).pathname;
 
@@ -26,15 +34,40 @@ function logCall(entry) {
   writeFileSync(LOG_PATH, JSON.stringify(calls, null, 2));
 }
 
+// Returns the paying fetch, limited by the SPEND_* spending policy and the trust
+// policy. Each call passes its own record, which is given the option its payment
+// used, so the call log shows the asset and amount actually paid even when tool
+// calls overlap.
 async function createClient() {
+  const registry = createChainRegistry({
+    chainsPath: process.env.CHAINS_PATH,
+    networks: process.env.NETWORKS,
+    rpcUrl: process.env.RPC_URL,
+  });
   const evmSigner = await new WalletManagerEvm(mnemonic, {
-    provider: "https://rpc.plasma.to",
+    provider: registry.rpcUrl(registry.defaultNetwork),
   }).getAccount();
 
+  const callContext = new AsyncLocalStorage();
   const client = new x402Client();
   registerExactEvmScheme(client, { signer: evmSigner });
+  selectFundedOption(client, createWalletBalanceLookup(mnemonic, registry));
+  client.onAfterPaymentCreation(async ({ selectedRequirements: { amount, asset, network } }) => {
+    const call = callContext.getStore();
+    if (!call) return;
+    const token = registry.findToken(network, asset);
+    call.payment = {
+      asset: token?.symbol || asset,
+      network,
+      amount: token ? Number(amount) / 10 ** token.decimals : null,
+    };
+  });
 
-  return wrapFetchWithPayment(fetch, client);
+  const policy = createSpendingPolicy({ registry, ...spendingPolicyOptionsFromEnv() });
+  const trustPolicy = createTrustPolicy({ registry, ...trustPolicyOptionsFromEnv() });
+
+  const fetchWithPayment = wrapFetchWithSpendingPolicy(fetch, client, policy, { trustPolicy });
+  return (url, call) => callContext.run(call, () => fetchWithPayment(url));
 }
 
 async function main() {
@@ -55,14 +88,16 @@ async function main() {
     async () => {
       const entry = {
         tool: "get-weather",
-        amount: PRICE_USDT0,
+        amount: null,
         timestamp: new Date().toISOString(),
         status: "failed",
       };
+      const call = { payment: null };
 
       try {
-        const res = await fetchWithPayment(`${baseURL}${endpointPath}`);
+        const res = await fetchWithPayment(`${baseURL}${endpointPath}`, call);
         const data = await res.json();
+        Object.assign(entry, call.payment);
 
         if (res.ok) {
           entry.status = "success";
@@ -74,7 +109,14 @@ async function main() {
           content: [{ type: "text", text: JSON.stringify(data) }],
         };
       } catch (err) {
+        Object.assign(entry, call.payment);
         entry.error = err.message;
+        // A refused payment is an answer for the model, not a server failure.
+        if (err.code === "spending_limit_exceeded" || err.code === "untrusted_payment_requirements") {
+          entry.status = "refused";
+          logCall(entry);
+          return { content: [{ type: "text", text: err.message }], isError: true };
+        }
         logCall(entry);
         throw err;
       }
@@ -27,7 +27,7 @@ function BalanceCard({ balance, address, onRefresh }) {
 
 function SummaryRow({ calls }) {
   const successful = calls.filter(c => c.status === 'success').length
-  const failed = calls.filter(c => c.status === 'failed').length
+  const failed = calls.filter(c => c.status !== 'success').length
   const totalSpent = calls
     .filter(c => c.status === 'success')
     .reduce((sum, c) => sum + (c.amount || 0), 0)
@@ -83,7 +83,7 @@ function CallHistory({ calls }) {
               <tr key={i}>
                 <td className="td-tool">{call.tool}</td>
                 <td className="td-amount">
-                  {call.amount != null ? call.amount.toFixed(6) : '--'} USDT0
+                  {call.amount != null ? call.amount.toFixed(6) : '--'} {call.asset || 'USDT0'}
                 </td>
                 <td>
                   <span className={`td-status ${call.status === 'success' ? 'success' : 'failed'}`}>
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import express from "express";
+import { createChainRegistry } from "../x402/chains.js";
+import { createApiKeyAuth, generateApiKey, hashApiKey, loadApiKeys } from "../x402/api-keys.js";
+import { createFacilitatorRouter } from "../x402/facilitator-router.js";
+import { createSettlementStore } from "../x402/settlement-store.js";
+import { PAY_TO, startLocalChain, tempDir } from "./helpers.js";
+
+const OTHER_PAY_TO = "0x2222222222222222222222222222222222222222";
+const NETWORK = createChainRegistry().defaultNetwork;
+
+function writeKeys(t, keys) {
+  const path = join(tempDir(t), "keys.json");
+  writeFileSync(path, JSON.stringify({ keys }));
+  return path;
+}
+
+test("stores only hashes and validates every key in the file", (t) => {
+  const key = generateApiKey();
+  assert.match(key, /^x402_/);
+  assert.match(hashApiKey(key), /^sha256:[0-9a-f]{64}$/);
+
+  const path = writeKeys(t, [
+    { id: "", hash: "plain" },
+    { id: "b", hash: hashApiKey(key), payTo: ["nobody"] },
+  ]);
+  assert.throws(
+    () => loadApiKeys(path),
+    (err) =>
+      err.message.includes("keys[0]: id must be a non-empty string") &&
+      err.message.includes('keys[0]: hash must look like "sha256:<64 hex chars>"') &&
+      err.message.includes('keys[1] (b): payTo entry "nobody" is not a 0x address')
+  );
+});
+
+// A facilitator router behind API key auth, with settlement records on two
+// networks and two recipients.
+async function startFacilitator(t, keys) {
+  const { signer, token } = await startLocalChain(t);
+  const settlementStore = createSettlementStore();
+  const record = (payTo, recordNetwork, nonce) =>
+    settlementStore.update(
+      { payload: { authorization: { from: "0x00000000000000000000000000000000000000a1", nonce } } },
+      { network: recordNetwork, asset: token.address, payTo, amount: "100" },
+      { status: "settled", transaction: "0xabc" }
+    );
+  record(PAY_TO, NETWORK, "0x01");
+  record(OTHER_PAY_TO, NETWORK, "0x02");
+  record(PAY_TO, "eip155:1", "0x03");
+
+  const app = express();
+  const auth = createApiKeyAuth({ keysPath: writeKeys(t, keys) });
+  app.use(createFacilitatorRouter({ signer, networks: [NETWORK], auth, settlementStore }));
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://localhost:${server.address().port}`;
+}
+
+function post(url, path, key, body) {
+  return fetch(`${url}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(key && { Authorization: `Bearer ${key}` }) },
+    body: JSON.stringify(body),
+  });
+}
+
+test("requires a known key on /verify and /settle", async (t) => {
+  const url = await startFacilitator(t, [{ id: "server", hash: hashApiKey(generateApiKey()) }]);
+
+  const missing = await post(url, "/verify", null, {});
+  assert.equal(missing.status, 401);
+  assert.deepEqual(await missing.json(), { error: "Missing API key" });
+
+  const unknown = await post(url, "/settle", generateApiKey(), {});
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(await unknown.json(), { error: "Invalid API key" });
+
+  assert.equal((await fetch(`${url}/supported`)).status, 200, "/supported stays public");
+});
+
+test("limits a scoped key to its networks and recipients", async (t) => {
+  const key = generateApiKey();
+  const url = await startFacilitator(t, [
+    { id: "weather", hash: hashApiKey(key), networks: [NETWORK], payTo: [PAY_TO] },
+  ]);
+
+  const otherNetwork = await post(url, "/verify", key, {
+    paymentPayload: {},
+    paymentRequirements: { network: "eip155:1", payTo: PAY_TO },
+  });
+  assert.equal(otherNetwork.status, 401);
+  assert.deepEqual(await otherNetwork.json(), { error: 'API key "weather" is not allowed on network eip155:1' });
+
+  const otherRecipient = await post(url, "/settle", key, {
+    paymentPayload: {},
+    paymentRequirements: { network: NETWORK, payTo: OTHER_PAY_TO },
+  });
+  assert.equal(otherRecipient.status, 401);
+
+  const response = await fetch(`${url}/settlements`, { headers: { "X-API-Key": key } });
+  const { settlements } = await response.json();
+  assert.deepEqual(
+    settlements.map((record) => [record.network, record.payTo]),
+    [[NETWORK, PAY_TO]]
+  );
+
+  const byHash = await fetch(`${url}/settlements/0xabc`, { headers: { "X-API-Key": key } });
+  assert.equal((await byHash.json()).settlements.length, 1);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createExposureTracker } from "../x402/exposure.js";
+import { startPaidServer, payingFetch, PAYER_KEYS, waitFor } from "./helpers.js";
+
+const ASSET = "0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb";
+const routes = { "GET /weather": { price: "100" } };
+
+function queued(settlementId, payer, amount) {
+  return { details: { settlementId, payer, asset: ASSET, amount } };
+}
+
+test("counts queued settlements against per-payer and total limits until they complete", () => {
+  const exposure = createExposureTracker({ maxAmountPerPayer: "250", maxCountTotal: "3" });
+  exposure.observe("settle_queued", queued("a", "0xAAA", "100"));
+  exposure.observe("settle_queued", queued("b", "0xaaa", "100"));
+
+  assert.equal(exposure.check("0xaaa", ASSET, "100"), "payer_unsettled_amount_exceeded");
+  assert.equal(exposure.check("0xbbb", ASSET, "100"), null);
+  exposure.observe("settle_queued", queued("c", "0xbbb", "100"));
+  assert.equal(exposure.check("0xccc", ASSET, "1"), "total_unsettled_count_exceeded");
+
+  exposure.observe("settle_completed", queued("a"));
+  exposure.observe("settle_skipped", queued("c"));
+  assert.equal(exposure.check("0xaaa", ASSET, "100"), null);
+  assert.deepEqual(exposure.snapshot().payers, { "0xaaa": { amounts: { [ASSET.toLowerCase()]: "100" }, count: 1 } });
+});
+
+test("keeps amounts of different assets apart", () => {
+  const exposure = createExposureTracker({ maxAmountPerPayer: "150" });
+  exposure.observe("settle_queued", queued("a", "0xaaa", "100"));
+  assert.equal(exposure.check("0xaaa", "0x0000000000000000000000000000000000000abc", "100"), null);
+  assert.equal(exposure.check("0xaaa", ASSET, "100"), "payer_unsettled_amount_exceeded");
+});
+
+test("rejects an unknown overLimit policy", () => {
+  assert.throws(() => createExposureTracker({ overLimit: "queue" }), /Unknown overLimit policy "queue"/);
+});
+
+// The first payment's settlement is held back, so it stays outstanding while the
+// second request arrives.
+async function overLimitServer(t, overLimit) {
+  const exposure = createExposureTracker({ maxCountPerPayer: "1", overLimit });
+  const server = await startPaidServer(t, { routes, exposure });
+  let releaseFirst;
+  const firstHeld = new Promise((resolve) => (releaseFirst = resolve));
+  server.facilitator.onSettle(
+    async () => {
+      await firstHeld;
+      return {};
+    },
+    { times: 1 }
+  );
+  t.after(() => releaseFirst());
+
+  const pay = payingFetch();
+  assert.equal((await pay(`${server.url}/weather`)).status, 200);
+  await waitFor(() => server.facilitator.calls("settle").length === 1);
+  return { ...server, exposure, pay, releaseFirst };
+}
+
+test("settles a payment over the limit before serving it", async (t) => {
+  const { url, events, facilitator, pay, releaseFirst } = await overLimitServer(t, "settle-first");
+
+  const response = await pay(`${url}/weather`);
+  assert.equal(response.status, 200);
+  assert.ok(response.headers.get("payment-response"), "settle-first responses carry the settlement");
+  const limit = events.find((event) => event.type === "exposure_limit_reached");
+  assert.equal(limit.details.reason, "payer_unsettled_count_exceeded");
+  assert.equal(facilitator.calls("settle").length, 2);
+
+  releaseFirst();
+  await waitFor(() => events.filter((event) => event.type === "settle_completed").length === 2);
+});
+
+test("refuses a payment over the limit with 402 when overLimit is reject", async (t) => {
+  const { url, facilitator, exposure, pay, releaseFirst } = await overLimitServer(t, "reject");
+
+  const response = await pay(`${url}/weather`);
+  assert.equal(response.status, 402);
+  assert.equal(facilitator.calls("settle").length, 1);
+
+  releaseFirst();
+  await waitFor(() => exposure.snapshot().total.count === 0);
+  assert.equal((await pay(`${url}/weather`)).status, 200);
+});
+
+test("applies per-payer limits to each payer separately", async (t) => {
+  const { url } = await overLimitServer(t, "reject");
+  assert.equal((await payingFetch(PAYER_KEYS[1])(`${url}/weather`)).status, 200);
+});
@@ -0,0 +1,190 @@
+import express from "express";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createWalletClient, custom, publicActions } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { x402Client, wrapFetchWithPayment } from "@x402/fetch";
+import { registerExactEvmScheme } from "@x402/evm/exact/client";
+import { toFacilitatorEvmSigner } from "@x402/evm";
+import { x402ResourceServer, x402HTTPResourceServer } from "@x402/express";
+import { ExactEvmScheme } from "@x402/evm/exact/server";
+import { createChainRegistry } from "../x402/chains.js";
+import { buildRoutes } from "../x402/routes.js";
+import { verifyFirstMiddleware } from "../x402/middleware.js";
+import { createSettlementQueue } from "../x402/settlement-queue.js";
+import { createNonceStore } from "../x402/nonce-store.js";
+import { createFakeFacilitator } from "../x402/fake-facilitator.js";
+import { createLocalChain } from "../x402/local-chain.js";
+
+// Shared setup for the tests: a paid server running the verify-first middleware
+// against the fake facilitator, paying clients with throwaway keys, and a local
+// chain for code that talks to a token contract.
+
+const BALANCE_OF_ABI = [
+  {
+    type: "function",
+    name: "balanceOf",
+    stateMutability: "view",
+    inputs: [{ name: "account", type: "address" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+];
+
+export const PAY_TO = "0x1111111111111111111111111111111111111111";
+export const PAYER_KEYS = ["0x" + "11".repeat(32), "0x" + "22".repeat(32), "0x" + "33".repeat(32)];
+
+export function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), "x402-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+export function waitFor(predicate, { timeoutMs = 2000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const value = predicate();
+      if (value) return resolve(value);
+      if (Date.now() > deadline) return reject(new Error("Timed out waiting for condition"));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+function payingClient(privateKey) {
+  const client = new x402Client();
+  registerExactEvmScheme(client, { signer: privateKeyToAccount(privateKey) });
+  return client;
+}
+
+// fetch that pays 402 challenges with the exact scheme, signing with privateKey.
+export function payingFetch(privateKey = PAYER_KEYS[0]) {
+  return wrapFetchWithPayment(fetch, payingClient(privateKey));
+}
+
+// A payment payload signed by privateKey for the given payment requirements.
+export function signedPayment(requirements, privateKey = PAYER_KEYS[0]) {
+  return payingClient(privateKey).createPaymentPayload({
+    x402Version: 2,
+    resource: { url: "http://localhost/weather", description: "", mimeType: "" },
+    accepts: [requirements],
+  });
+}
+
+// Starts the verify-first middleware over `routes` on a random port. Every paid
+// request that gets through is answered by handler (default: 200 { ok: true }).
+// Lifecycle events are collected in `events` and fed to exposure, if given.
+export async function startPaidServer(
+  t,
+  {
+    routes,
+    facilitator = createFakeFacilitator(),
+    pricing,
+    exposure,
+    nonceStore = createNonceStore(),
+    queue: queueOptions,
+    handler,
+  }
+) {
+  const registry = createChainRegistry();
+  const resourceServer = new x402ResourceServer(facilitator);
+  registry.networks.forEach((network) => resourceServer.register(network, new ExactEvmScheme()));
+  const httpServer = new x402HTTPResourceServer(
+    resourceServer,
+    buildRoutes(routes, "routes", { registry, payTo: PAY_TO, pricing })
+  );
+
+  const events = [];
+  const onEvent = (type, data) => {
+    exposure?.observe(type, data);
+    events.push({ type, ...data });
+  };
+  const queue = createSettlementQueue(httpServer, { onEvent, baseDelayMs: 10, ...queueOptions });
+
+  const app = express();
+  app.use(
+    verifyFirstMiddleware(
+      httpServer,
+      { promise: httpServer.initialize() },
+      { onEvent, settlementQueue: queue, exposure, nonceStore }
+    )
+  );
+  app.use(handler || ((req, res) => res.json({ ok: true })));
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    facilitator,
+    httpServer,
+    queue,
+    events,
+    eventTypes: () => events.map((event) => event.type),
+  };
+}
+
+// A local chain for the registry's default network with its tokens and
+// Multicall3, a facilitator signer on it for privateKey with gas to spend, and
+// the exact payment requirements for `amount` of its first token. mint(address,
+// amount) funds payers.
+export async function startLocalChain(t, { privateKey = PAYER_KEYS[2], amount = "100" } = {}) {
+  const registry = createChainRegistry();
+  const network = registry.defaultNetwork;
+  const { chainId, tokens } = registry.getChain(network);
+  const chain = createLocalChain({
+    chainId,
+    tokens: Object.entries(tokens).map(([symbol, token]) => ({ symbol, ...token })),
+    multicallAddress: registry.multicallAddress(network),
+  });
+  t.after(() => chain.stop());
+
+  const account = privateKeyToAccount(privateKey);
+  const client = createWalletClient({
+    account,
+    chain: {
+      id: chainId,
+      name: "local",
+      nativeCurrency: { name: "XPL", symbol: "XPL", decimals: 18 },
+      rpcUrls: { default: { http: [] } },
+    },
+    transport: custom({ request: ({ method, params }) => chain.request(method, params) }),
+  }).extend(publicActions);
+  const signer = toFacilitatorEvmSigner({
+    address: account.address,
+    readContract: (args) => client.readContract(args),
+    verifyTypedData: (args) => client.verifyTypedData(args),
+    writeContract: (args) => client.writeContract(args),
+    sendTransaction: (args) => client.sendTransaction(args),
+    waitForTransactionReceipt: (args) => client.waitForTransactionReceipt({ ...args, pollingInterval: 10 }),
+    getCode: (args) => client.getCode(args),
+  });
+
+  await chain.request("local_setBalance", [account.address, String(10n ** 18n)]);
+
+  const [symbol, token] = Object.entries(tokens)[0];
+  const requirements = {
+    scheme: "exact",
+    network,
+    asset: token.address,
+    amount,
+    payTo: PAY_TO,
+    maxTimeoutSeconds: 300,
+    extra: { name: token.name, version: token.version },
+  };
+  const mint = (address, value) => chain.request("local_mint", [token.address, address, String(value)]);
+  const balanceOf = async (address) =>
+    BigInt(
+      await client.readContract({
+        address: token.address,
+        abi: BALANCE_OF_ABI,
+        functionName: "balanceOf",
+        args: [address],
+      })
+    );
+
+  return { chain, registry, network, token: { symbol, ...token }, signer, requirements, mint, balanceOf };
+}
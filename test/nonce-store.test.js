@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { encodePaymentSignatureHeader } from "@x402/core/http";
+import { createNonceStore } from "../x402/nonce-store.js";
+import { startPaidServer, payingFetch, tempDir, waitFor } from "./helpers.js";
+
+const requirements = { network: "eip155:9745", asset: "0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb" };
+
+function payment(nonce, validBefore = Math.floor(Date.now() / 1000) + 600) {
+  return { payload: { authorization: { from: "0xAAA", nonce, validBefore: String(validBefore) } } };
+}
+
+test("claims each authorization once until it is released", () => {
+  const nonces = createNonceStore();
+  assert.equal(nonces.claim(payment("0x01"), requirements), true);
+  assert.equal(nonces.claim(payment("0x01"), requirements), false);
+  assert.equal(nonces.claim(payment("0x02"), requirements), true);
+
+  nonces.release(payment("0x01"), requirements);
+  assert.equal(nonces.claim(payment("0x01"), requirements), true);
+});
+
+test("forgets authorizations once their validBefore has passed", () => {
+  const nonces = createNonceStore();
+  assert.equal(nonces.claim(payment("0x01", Math.floor(Date.now() / 1000) - 1), requirements), true);
+  assert.equal(nonces.size(), 0);
+  assert.equal(nonces.claim(payment("0x01", Math.floor(Date.now() / 1000) - 1), requirements), true);
+});
+
+test("keeps rejecting claimed authorizations after a restart", (t) => {
+  const path = join(tempDir(t), "nonces.json");
+  createNonceStore({ path }).claim(payment("0x01"), requirements);
+
+  const restarted = createNonceStore({ path });
+  assert.equal(restarted.claim(payment("0x01"), requirements), false);
+  assert.equal(restarted.size(), 1);
+});
+
+test("rejects a replayed payment header with 402 and does not settle it twice", async (t) => {
+  const server = await startPaidServer(t, { routes: { "GET /weather": { price: "100" } } });
+  assert.equal((await payingFetch()(`${server.url}/weather`)).status, 200);
+  await waitFor(() => server.eventTypes().includes("settle_completed"));
+
+  const [{ paymentPayload }] = server.facilitator.calls("verify");
+  const replay = await fetch(`${server.url}/weather`, {
+    headers: { "PAYMENT-SIGNATURE": encodePaymentSignatureHeader(paymentPayload) },
+  });
+  assert.equal(replay.status, 402);
+  assert.deepEqual(await replay.json(), { error: "payment_authorization_replayed" });
+  server.facilitator.assertCalled("settle", { times: 1 });
+});
+
+test("lets a payment be sent again when its settle-first settlement failed", async (t) => {
+  const server = await startPaidServer(t, {
+    routes: { "GET /weather": { price: "100", settlement: { mode: "settle-first" } } },
+  });
+  server.facilitator.onSettle("settlementFailed", { times: 1 });
+  assert.equal((await payingFetch()(`${server.url}/weather`)).status, 402);
+
+  const [{ paymentPayload }] = server.facilitator.calls("verify");
+  const retry = await fetch(`${server.url}/weather`, {
+    headers: { "PAYMENT-SIGNATURE": encodePaymentSignatureHeader(paymentPayload) },
+  });
+  assert.equal(retry.status, 200);
+});
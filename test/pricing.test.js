@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createQuoteBook,
+  createQuotedPrice,
+  usdToUnits,
+  PRICING_ERROR_CODE,
+  pricingFunctions,
+} from "../x402/pricing.js";
+import { startPaidServer, payingFetch } from "./helpers.js";
+
+function context(url, { paid = false } = {}) {
+  return {
+    method: "GET",
+    paymentHeader: paid ? "signed" : undefined,
+    adapter: { getUrl: () => url, getQueryParam: (name) => new URL(url).searchParams.get(name) ?? undefined },
+  };
+}
+
+test("converts USD prices to base units, rounding up", () => {
+  assert.equal(usdToUnits("0.0001", 6), "100");
+  assert.equal(usdToUnits("1", 18, "2000"), "500000000000000");
+  assert.equal(usdToUnits("0.0000001", 6), "1");
+  assert.equal(usdToUnits("0.01", 6, "3"), "3334");
+});
+
+test("prices the paid retry at the amount quoted in the challenge", async () => {
+  let rate = 2n;
+  const price = createQuotedPrice((ctx, basePrice) => BigInt(basePrice) * rate, "100");
+  const url = "http://localhost/forecast?days=3";
+
+  assert.equal(await price(context(url)), "200");
+  rate = 5n;
+  assert.equal(await price(context(url, { paid: true })), "200");
+  assert.equal(await price(context("http://localhost/forecast?days=4", { paid: true })), "500");
+  assert.equal(await price(context(url)), "500", "a new challenge quotes the current price");
+});
+
+test("does not reuse quotes after their ttl or across scopes", async () => {
+  const quotes = createQuoteBook();
+  let rate = 1n;
+  const pricingFn = (ctx, basePrice) => BigInt(basePrice) * rate;
+  const usdt = createQuotedPrice(pricingFn, "100", { quotes, scope: "usdt", ttlSeconds: 0 });
+  const other = createQuotedPrice(pricingFn, "100", { quotes, scope: "other" });
+  const url = "http://localhost/forecast";
+
+  await usdt(context(url));
+  await other(context(url));
+  rate = 3n;
+  assert.equal(await usdt(context(url, { paid: true })), "300");
+  assert.equal(await other(context(url, { paid: true })), "100");
+});
+
+test("keeps at most maxQuotes quotes, dropping the oldest", () => {
+  const quotes = createQuoteBook({ maxQuotes: 2 });
+  const now = Date.now();
+  ["a", "b", "c"].forEach((key) => quotes.set(key, key, now + 1000, now));
+  assert.equal(quotes.get("a", now), undefined);
+  assert.equal(quotes.get("c", now), "c");
+});
+
+test("marks pricing function errors as the client's", async () => {
+  const price = createQuotedPrice(pricingFunctions.perForecastDay, "100");
+  await assert.rejects(price(context("http://localhost/forecast?days=9")), {
+    code: PRICING_ERROR_CODE,
+    message: "days must be an integer between 1 and 7",
+  });
+});
+
+test("serves dynamically priced routes and answers unpriceable requests with 400", async (t) => {
+  const server = await startPaidServer(t, {
+    routes: { "GET /forecast": { price: "100", pricing: "perForecastDay" } },
+    pricing: pricingFunctions,
+  });
+
+  assert.equal((await payingFetch()(`${server.url}/forecast?days=3`)).status, 200);
+  assert.equal(server.facilitator.calls("verify")[0].amount, "300");
+
+  const invalid = await fetch(`${server.url}/forecast?days=9`);
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(await invalid.json(), { error: "days must be an integer between 1 and 7" });
+});
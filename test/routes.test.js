@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { createChainRegistry } from "../x402/chains.js";
+import { buildRoutes, loadRoutesFile } from "../x402/routes.js";
+import { pricingFunctions } from "../x402/pricing.js";
+import { PAY_TO, tempDir } from "./helpers.js";
+
+const registry = createChainRegistry();
+const options = { registry, payTo: PAY_TO, pricing: pricingFunctions };
+const USDT0 = "0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb";
+
+function errorsOf(routes, routeOptions = options) {
+  try {
+    buildRoutes(routes, "routes", routeOptions);
+  } catch (err) {
+    return err.message
+      .split("\n")
+      .slice(1)
+      .map((line) => line.trim());
+  }
+  return [];
+}
+
+test("resolves registry tokens and converts USD prices at the token's decimals", () => {
+  const { "GET /weather": route } = buildRoutes(
+    { "GET /weather": { priceUsd: "0.0001", description: "Weather" } },
+    "routes",
+    options
+  );
+  assert.deepEqual(route.accepts, [
+    {
+      scheme: "exact",
+      network: "eip155:9745",
+      price: { amount: "100", asset: USDT0, extra: { name: "USDT0", version: "1", decimals: 6 } },
+      payTo: PAY_TO,
+    },
+  ]);
+  assert.equal(route.description, "Weather");
+});
+
+test("reports every invalid field at once", () => {
+  assert.deepEqual(
+    errorsOf({
+      "GET weather": { price: "1.5", colour: "red" },
+      "GET /both": { price: "1", priceUsd: "1" },
+      "GET /elsewhere": { price: "1", network: "eip155:1", payTo: "nobody" },
+      "GET /slow": { priceUsd: "0.1", maxTimeoutSeconds: 0, settlement: { mode: "later" } },
+      "GET /priced": { priceUsd: "0.1", pricing: "perMinute" },
+    }),
+    [
+      'Route "GET weather": pattern must look like "GET /path" or "/path"',
+      'Route "GET weather": unknown field "colour"',
+      'Route "GET weather": price must be an integer amount of token base units, e.g. "100"',
+      'Route "GET /both": exactly one of price (token base units) or priceUsd must be set',
+      'Route "GET /elsewhere": network "eip155:1" is not in the chain registry (eip155:9745)',
+      'Route "GET /elsewhere": payTo must be a 0x address (or set PAY_TO_ADDRESS)',
+      'Route "GET /slow": maxTimeoutSeconds must be a positive integer',
+      'Route "GET /slow": settlement.mode must be one of verify-first, settle-first',
+      'Route "GET /priced": pricing "perMinute" is not a registered pricing function (known: perForecastDay)',
+    ]
+  );
+});
+
+test("needs EIP-712 details for assets outside the registry", () => {
+  const asset = "0x0000000000000000000000000000000000000abc";
+  assert.deepEqual(errorsOf({ "GET /a": { price: "1", asset } }), [
+    `Route "GET /a": asset ${asset} on eip155:9745 is not in the chain registry, so extra must provide its EIP-712 name and version`,
+  ]);
+  assert.deepEqual(errorsOf({ "GET /a": { price: "1", asset, extra: { name: "T", version: "1", decimals: 18 } } }), []);
+});
+
+test("accepts policy functions in code but only policy names in routes files", (t) => {
+  const policy = (res) => res.statusCode < 500;
+  assert.deepEqual(errorsOf({ "GET /a": { price: "1", settlement: { policy } } }), []);
+
+  const path = join(tempDir(t), "routes.yaml");
+  writeFileSync(path, 'routes:\n  "GET /a":\n    price: "1"\n    settlement:\n      policy: sometimes\n');
+  assert.throws(() => loadRoutesFile(path, options), /settlement\.policy must be one of success, always$/m);
+
+  writeFileSync(path, 'routes:\n  "GET /a":\n    price: "1"\n    settlement:\n      policy: always\n');
+  assert.equal(loadRoutesFile(path, options)["GET /a"].settlement.policy, "always");
+});
+
+test("rejects a routes file without a routes map", (t) => {
+  const path = join(tempDir(t), "routes.json");
+  writeFileSync(path, JSON.stringify({ "GET /a": { price: "1" } }));
+  assert.throws(() => loadRoutesFile(path, options), /expected a "routes" object/);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { privateKeyToAccount } from "viem/accounts";
+import { createFacilitator } from "../x402/facilitator-router.js";
+import { createBatchingSigner } from "../x402/settlement-batcher.js";
+import { PAY_TO, PAYER_KEYS, signedPayment, startLocalChain } from "./helpers.js";
+
+const PAYERS = PAYER_KEYS.slice(0, 2).map((key) => privateKeyToAccount(key).address);
+
+// A facilitator on the local chain whose signer batches settlements, with both
+// payers funded, and a settle() that runs each settlement the way
+// createFacilitatorRouter does.
+async function setup(t) {
+  const local = await startLocalChain(t);
+  for (const payer of PAYERS) await local.mint(payer, 1000);
+
+  const signer = createBatchingSigner(local.signer, {
+    multicallAddress: local.registry.multicallAddress(local.network),
+    windowMs: 50,
+  });
+  const { facilitator } = createFacilitator({ signer, networks: [local.network] });
+  const settle = (paymentPayload) => signer.runSettlement(() => facilitator.settle(paymentPayload, local.requirements));
+  return { local, signer, settle };
+}
+
+const transactionTo = async (local, hash) =>
+  (await local.chain.request("eth_getTransactionByHash", [hash])).to.toLowerCase();
+
+test("settles payments arriving within the window in one transaction", async (t) => {
+  const { local, settle } = await setup(t);
+  const payloads = await Promise.all(PAYER_KEYS.slice(0, 2).map((key) => signedPayment(local.requirements, key)));
+
+  const results = await Promise.all(payloads.map(settle));
+  assert.deepEqual(
+    results.map(({ success, payer }) => ({ success, payer })),
+    PAYERS.map((payer) => ({ success: true, payer }))
+  );
+  assert.equal(results[0].transaction, results[1].transaction);
+  assert.equal(
+    await transactionTo(local, results[0].transaction),
+    local.registry.multicallAddress(local.network).toLowerCase()
+  );
+  assert.equal(await local.balanceOf(PAY_TO), 200n);
+  assert.equal(await local.balanceOf(PAYERS[0]), 900n);
+});
+
+test("fails only the payments the token did not execute", async (t) => {
+  const { local, settle } = await setup(t);
+  const first = await signedPayment(local.requirements, PAYER_KEYS[0]);
+  const second = await signedPayment(local.requirements, PAYER_KEYS[1]);
+
+  // The same authorization twice in one batch: the token executes it once.
+  const results = await Promise.all([settle(first), settle(first), settle(second)]);
+  assert.deepEqual(results.map(({ success }) => success).sort(), [false, true, true]);
+  assert.equal(new Set(results.map(({ transaction }) => transaction).filter(Boolean)).size, 1);
+  assert.equal(await local.balanceOf(PAY_TO), 200n);
+});
+
+test("sends a lone payment as a plain transferWithAuthorization", async (t) => {
+  const { local, settle } = await setup(t);
+
+  const result = await settle(await signedPayment(local.requirements));
+  assert.equal(result.success, true);
+  assert.equal(await transactionTo(local, result.transaction), local.requirements.asset.toLowerCase());
+  assert.equal(await local.balanceOf(PAY_TO), 100n);
+});
+
+test("refuses settlements outside runSettlement", async (t) => {
+  const { signer } = await setup(t);
+  await assert.rejects(
+    signer.writeContract({ functionName: "transferWithAuthorization", address: PAY_TO, args: [] }),
+    /Batched settlements must run inside runSettlement/
+  );
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import express from "express";
+import { privateKeyToAccount } from "viem/accounts";
+import { createFacilitatorRouter } from "../x402/facilitator-router.js";
+import { createSettlementStore, recordId } from "../x402/settlement-store.js";
+import { PAY_TO, PAYER_KEYS, signedPayment, startLocalChain, tempDir } from "./helpers.js";
+
+const PAYER = privateKeyToAccount(PAYER_KEYS[0]).address;
+
+// A facilitator router settling on the local chain with settlementStore, and a
+// settle(paymentPayload, requirements) that posts to its /settle.
+async function startFacilitator(t, local, settlementStore) {
+  const app = express();
+  app.use(createFacilitatorRouter({ signer: local.signer, networks: [local.network], settlementStore }));
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  return async (paymentPayload, paymentRequirements) => {
+    const response = await fetch(`http://localhost:${server.address().port}/settle`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ paymentPayload, paymentRequirements }),
+    });
+    return response.json();
+  };
+}
+
+async function setup(t, { funded = true } = {}) {
+  const local = await startLocalChain(t);
+  if (funded) await local.mint(PAYER, 1000);
+  const payload = await signedPayment(local.requirements);
+  return { local, payload };
+}
+
+test("returns the original result for a settled authorization without sending it again", async (t) => {
+  const { local, payload } = await setup(t);
+  const store = createSettlementStore();
+  const settle = await startFacilitator(t, local, store);
+
+  const first = await settle(payload, local.requirements);
+  assert.equal(first.success, true);
+  assert.match(first.transaction, /^0x[0-9a-f]{64}$/);
+
+  assert.deepEqual(await settle(payload, local.requirements), first);
+  assert.equal(await local.balanceOf(PAY_TO), 100n);
+  assert.equal(store.get(recordId(payload, local.requirements)).status, "settled");
+});
+
+test("lets concurrent calls for one authorization share a single settlement", async (t) => {
+  const { local, payload } = await setup(t);
+  const settle = await startFacilitator(t, local, createSettlementStore());
+
+  const [first, second] = await Promise.all([settle(payload, local.requirements), settle(payload, local.requirements)]);
+  assert.equal(first.success, true);
+  assert.deepEqual(second, first);
+  assert.equal(await local.balanceOf(PAY_TO), 100n);
+});
+
+test("refuses a repeat call whose payTo or amount differs from the settled record", async (t) => {
+  const { local, payload } = await setup(t);
+  const settle = await startFacilitator(t, local, createSettlementStore());
+  await settle(payload, local.requirements);
+
+  for (const changed of [{ amount: "1" }, { payTo: "0x2222222222222222222222222222222222222222" }]) {
+    assert.deepEqual(await settle(payload, { ...local.requirements, ...changed }), {
+      success: false,
+      errorReason: "requirements_mismatch",
+      transaction: "",
+      network: local.network,
+      payer: PAYER,
+    });
+  }
+});
+
+test("sends a failed authorization again when it is retried", async (t) => {
+  const { local, payload } = await setup(t, { funded: false });
+  const settle = await startFacilitator(t, local, createSettlementStore());
+
+  const failed = await settle(payload, local.requirements);
+  assert.equal(failed.success, false);
+
+  await local.mint(PAYER, 1000);
+  const retried = await settle(payload, local.requirements);
+  assert.equal(retried.success, true);
+  assert.equal(await local.balanceOf(PAY_TO), 100n);
+});
+
+test("resumes authorizations a previous process left settling", async (t) => {
+  const { local, payload } = await setup(t);
+  const path = join(tempDir(t), "settlements.jsonl");
+
+  // Interrupted before anything was broadcast: the token has not used the
+  // authorization, so it is sent.
+  createSettlementStore({ path }).update(payload, local.requirements, { status: "settling" });
+  const settled = await (
+    await startFacilitator(t, local, createSettlementStore({ path }))
+  )(payload, local.requirements);
+  assert.equal(settled.success, true);
+  assert.equal(await local.balanceOf(PAY_TO), 100n);
+
+  // Interrupted after the broadcast: the recorded transaction is awaited and the
+  // authorization found used, so nothing is sent again.
+  createSettlementStore({ path }).update(payload, local.requirements, { status: "settling" });
+  const restarted = createSettlementStore({ path });
+  const resumed = await (await startFacilitator(t, local, restarted))(payload, local.requirements);
+  assert.deepEqual(resumed, settled);
+  assert.equal(await local.balanceOf(PAY_TO), 100n);
+  assert.equal(restarted.get(recordId(payload, local.requirements)).status, "settled");
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { createSettlementQueue } from "../x402/settlement-queue.js";
+import { startPaidServer, payingFetch, tempDir, waitFor } from "./helpers.js";
+
+const routes = { "GET /weather": { price: "100" } };
+
+// A verified payment as the middleware hands it to the queue, once the server
+// has settled its own copy, with the fake facilitator reset.
+async function verifiedPayment(t) {
+  const server = await startPaidServer(t, { routes });
+  const response = await payingFetch()(`${server.url}/weather`);
+  assert.equal(response.status, 200);
+  await waitFor(() => server.eventTypes().includes("settle_completed"));
+  const [{ paymentPayload, requirements }] = server.facilitator.calls("verify");
+  server.facilitator.reset();
+  return { ...server, paymentPayload, requirements };
+}
+
+function readJournal(path) {
+  return JSON.parse(readFileSync(path, "utf-8"));
+}
+
+test("journals held payments and settles them when resumed after a restart", async (t) => {
+  const journalPath = join(tempDir(t), "journal.json");
+  const { httpServer, facilitator, paymentPayload, requirements } = await verifiedPayment(t);
+
+  const before = createSettlementQueue(httpServer, { journalPath });
+  const id = before.enqueue(paymentPayload, requirements);
+  assert.deepEqual(
+    readJournal(journalPath).map((entry) => [entry.id, entry.status]),
+    [[id, "held"]]
+  );
+
+  const events = [];
+  const after = createSettlementQueue(httpServer, { journalPath, onEvent: (type) => events.push(type) });
+  assert.equal(after.resume(), 1);
+  await waitFor(() => events.includes("settle_completed"));
+
+  facilitator.assertCalled("settle", { times: 1, payer: paymentPayload.payload.authorization.from });
+  assert.deepEqual(readJournal(journalPath), []);
+});
+
+test("drops interrupted settle-first payments on resume instead of settling them", async (t) => {
+  const journalPath = join(tempDir(t), "journal.json");
+  const { httpServer, facilitator, paymentPayload, requirements } = await verifiedPayment(t);
+  createSettlementQueue(httpServer, { journalPath }).enqueue(paymentPayload, requirements, { settleFirst: true });
+
+  const events = [];
+  const after = createSettlementQueue(httpServer, {
+    journalPath,
+    onEvent: (type, event) => events.push([type, event]),
+  });
+  assert.equal(after.resume(), 0);
+
+  const [skipped] = events.filter(([type]) => type === "settle_skipped");
+  assert.match(skipped[1].details.reason, /interrupted/);
+  facilitator.assertNotCalled("settle");
+  assert.deepEqual(readJournal(journalPath), []);
+});
+
+test("retries failed settlements with backoff, then keeps them as failed until retried", async (t) => {
+  const journalPath = join(tempDir(t), "journal.json");
+  const { httpServer, facilitator, paymentPayload, requirements } = await verifiedPayment(t);
+  facilitator.onSettle("settlementFailed");
+
+  const events = [];
+  const queue = createSettlementQueue(httpServer, {
+    journalPath,
+    maxAttempts: 2,
+    baseDelayMs: 10,
+    onEvent: (type) => events.push(type),
+  });
+  const id = queue.enqueue(paymentPayload, requirements);
+  queue.release(id);
+  await waitFor(() => events.includes("settle_failed"));
+
+  assert.deepEqual(
+    events.filter((type) => type.startsWith("settle_")),
+    ["settle_queued", "settle_started", "settle_retry_scheduled", "settle_started", "settle_failed"]
+  );
+  assert.deepEqual(
+    queue.getBacklog().failed.map((entry) => [entry.id, entry.attempts, entry.lastError]),
+    [[id, 2, "transaction_failed"]]
+  );
+  assert.equal(readJournal(journalPath)[0].status, "failed");
+
+  facilitator.reset();
+  assert.equal(queue.retry(id), true);
+  await waitFor(() => events.includes("settle_completed"));
+  assert.deepEqual(queue.getBacklog(), { pending: [], failed: [] });
+});
+
+test("settles settle-first payments before returning and drops them when settlement fails", async (t) => {
+  const { httpServer, facilitator, paymentPayload, requirements } = await verifiedPayment(t);
+  const queue = createSettlementQueue(httpServer);
+
+  const settled = await queue.settleNow(queue.enqueue(paymentPayload, requirements, { settleFirst: true }));
+  assert.equal(settled.success, true);
+  assert.ok(settled.headers["PAYMENT-RESPONSE"]);
+
+  facilitator.onSettle("settlementFailed");
+  const failed = await queue.settleNow(queue.enqueue(paymentPayload, requirements, { settleFirst: true }));
+  assert.equal(failed.success, false);
+  assert.deepEqual(queue.getBacklog(), { pending: [], failed: [] });
+});
+
+test("skips held payments whose response the settlement policy rejects", async (t) => {
+  const server = await startPaidServer(t, {
+    routes: { "GET /broken": { price: "100" } },
+    handler: (req, res) => res.status(500).json({ error: "boom" }),
+  });
+  const response = await payingFetch()(`${server.url}/broken`);
+  assert.equal(response.status, 500);
+
+  await waitFor(() => server.eventTypes().includes("settle_skipped"));
+  const skipped = server.events.find((event) => event.type === "settle_skipped");
+  assert.equal(skipped.details.reason, "Response status 500 rejected by settlement policy");
+  server.facilitator.assertNotCalled("settle");
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { privateKeyToAccount } from "viem/accounts";
+import { x402Client } from "@x402/fetch";
+import { registerExactEvmScheme } from "@x402/evm/exact/client";
+import { createChainRegistry } from "../x402/chains.js";
+import { createSpendingPolicy, wrapFetchWithSpendingPolicy } from "../x402/spending-policy.js";
+import { PAY_TO, PAYER_KEYS, startPaidServer, tempDir } from "./helpers.js";
+
+const registry = createChainRegistry();
+const NETWORK = registry.defaultNetwork;
+const USDT0 = registry.findToken(NETWORK, "USDT0").address;
+const HOST = "api.example.com";
+
+// Exact payment requirements for `amount` base units of USDT0 ($1 per 10^6).
+function option(amount, asset = USDT0) {
+  return { scheme: "exact", network: NETWORK, asset, amount: String(amount), payTo: PAY_TO, maxTimeoutSeconds: 60 };
+}
+
+function policy(t, options, ledgerPath = join(tempDir(t), "ledger.json")) {
+  return createSpendingPolicy({ registry, ledgerPath, ...options });
+}
+
+function refusedWith(pattern) {
+  return (err) => err.code === "spending_limit_exceeded" && err.reasons.some((reason) => pattern.test(reason));
+}
+
+test("keeps only the offers that fit the limits and allowed assets", (t) => {
+  const spending = policy(t, { maxPerRequestUsd: "0.5", allowedAssets: "usdt0" });
+  const unknown = option(1, "0x0000000000000000000000000000000000000abc");
+
+  assert.deepEqual(spending.filter([option(1_000_000), option(100_000), unknown], HOST), [option(100_000)]);
+  assert.throws(() => spending.filter([option(1_000_000)], HOST), refusedWith(/above the \$0\.5 per-request limit/));
+  assert.throws(() => spending.filter([unknown], HOST), refusedWith(/is not allowed/));
+  assert.throws(
+    () => policy(t, { maxPerDayUsd: "five", hostLimitsUsd: "localhost=-1" }),
+    /maxPerDayUsd must be a decimal USD amount, got "five"\n.*host limit for localhost must be a decimal USD amount/
+  );
+});
+
+test("counts spend per day and host in a ledger shared between processes", async (t) => {
+  const ledgerPath = join(tempDir(t), "ledger.json");
+  const first = policy(t, { maxPerDayUsd: "1", hostLimitsUsd: `${HOST}=0.5` }, ledgerPath);
+  const second = policy(t, { maxPerDayUsd: "1", hostLimitsUsd: `${HOST}=0.5` }, ledgerPath);
+
+  const spend = await first.reserve(option(400_000), HOST);
+  await assert.rejects(second.reserve(option(200_000), HOST), refusedWith(/already spent on api\.example\.com today/));
+  await second.reserve(option(600_000), "other.example.com");
+  await assert.rejects(first.reserve(option(100_000), "third.example.com"), refusedWith(/the daily limit is \$1/));
+
+  await second.refund(spend);
+  assert.deepEqual(first.spentToday().hosts, { [HOST]: "0", "other.example.com": "0.6" });
+  assert.equal(first.spentToday().count, 1);
+});
+
+test("never lets concurrent reserves overrun the daily limit", async (t) => {
+  const ledgerPath = join(tempDir(t), "ledger.json");
+  const policies = [0, 1].map(() => policy(t, { maxPerDayUsd: "0.3" }, ledgerPath));
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 6 }, (_, i) => policies[i % 2].reserve(option(100_000), HOST))
+  );
+  assert.equal(results.filter(({ status }) => status === "fulfilled").length, 3);
+  assert.equal(policies[0].spentToday().totalUsd, "0.3");
+});
+
+async function weatherServer(t) {
+  return startPaidServer(t, { routes: { "GET /weather": { priceUsd: "0.0001" } } });
+}
+
+function payingClient(signer = privateKeyToAccount(PAYER_KEYS[0])) {
+  const client = new x402Client();
+  registerExactEvmScheme(client, { signer });
+  return client;
+}
+
+test("refuses to pay once a paid fetch would break the policy", async (t) => {
+  const server = await weatherServer(t);
+  const spending = policy(t, { maxPerDayUsd: "0.00025" });
+  const fetchWithPolicy = wrapFetchWithSpendingPolicy(fetch, payingClient(), spending);
+
+  assert.equal((await fetchWithPolicy(`${server.url}/weather`)).status, 200);
+  assert.equal((await fetchWithPolicy(`${server.url}/weather`)).status, 200);
+  await assert.rejects(fetchWithPolicy(`${server.url}/weather`), refusedWith(/the daily limit is \$0\.00025/));
+
+  server.facilitator.assertCalled("verify", { times: 2 });
+  assert.equal(spending.spentToday().count, 2);
+});
+
+test("gives back the spend when the payment is never signed", async (t) => {
+  const server = await weatherServer(t);
+  const spending = policy(t, { maxPerDayUsd: "1" });
+  const account = privateKeyToAccount(PAYER_KEYS[0]);
+  const failingSigner = {
+    address: account.address,
+    signTypedData: () => Promise.reject(new Error("wallet locked")),
+  };
+  const fetchWithPolicy = wrapFetchWithSpendingPolicy(fetch, payingClient(failingSigner), spending);
+  const refund = t.mock.method(spending, "refund");
+
+  await assert.rejects(fetchWithPolicy(`${server.url}/weather`), /wallet locked/);
+  assert.equal(refund.mock.callCount(), 1);
+  assert.equal(spending.spentToday().count, 0);
+  assert.equal(spending.spentToday().totalUsd, "0");
+  server.facilitator.assertNotCalled("verify");
+});
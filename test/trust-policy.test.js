@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { privateKeyToAccount } from "viem/accounts";
+import { x402Client } from "@x402/fetch";
+import { registerExactEvmScheme } from "@x402/evm/exact/client";
+import { createChainRegistry } from "../x402/chains.js";
+import { createTrustPolicy } from "../x402/trust-policy.js";
+import { createSpendingPolicy, wrapFetchWithSpendingPolicy } from "../x402/spending-policy.js";
+import { PAY_TO, PAYER_KEYS, startPaidServer } from "./helpers.js";
+
+const registry = createChainRegistry();
+const NETWORK = registry.defaultNetwork;
+const USDT0 = registry.findToken(NETWORK, "USDT0");
+const HOST = "api.example.com";
+const UNKNOWN_TOKEN = "0x0000000000000000000000000000000000000abc";
+
+function option(overrides = {}) {
+  return {
+    scheme: "exact",
+    network: NETWORK,
+    asset: USDT0.address,
+    amount: "100",
+    payTo: PAY_TO,
+    maxTimeoutSeconds: 60,
+    extra: { name: USDT0.name, version: USDT0.version, decimals: USDT0.decimals },
+    ...overrides,
+  };
+}
+
+// The reasons `policy` gives for refusing `offer` on HOST, empty if trusted.
+function reasonsFor(policy, offer) {
+  try {
+    policy.filter([offer], HOST);
+    return [];
+  } catch (err) {
+    assert.equal(err.code, "untrusted_payment_requirements");
+    return err.reasons;
+  }
+}
+
+test("trusts only registry tokens whose EIP-712 details match", (t) => {
+  t.mock.method(console, "error", () => {});
+  const policy = createTrustPolicy({ registry });
+
+  assert.deepEqual(reasonsFor(policy, option()), []);
+  assert.deepEqual(reasonsFor(policy, option({ extra: { ...option().extra, decimals: 18 } })), [
+    "USDT0 has 6 decimals, not 18",
+  ]);
+  assert.deepEqual(reasonsFor(policy, option({ extra: { name: "USD Tether", version: "1" } })), [
+    "EIP-712 domain USD Tether v1 does not match USDT0 (USDT0 v1)",
+  ]);
+  assert.match(reasonsFor(policy, option({ asset: UNKNOWN_TOKEN }))[0], /is not a known token on/);
+  assert.deepEqual(reasonsFor(policy, option({ network: "eip155:1" })), [
+    "network eip155:1 is not in the chain registry",
+  ]);
+  assert.deepEqual(
+    reasonsFor(createTrustPolicy({ registry, allowUnknownTokens: true }), option({ asset: UNKNOWN_TOKEN })),
+    []
+  );
+});
+
+test("refuses zero amounts and recipients that are not trusted for the host", (t) => {
+  t.mock.method(console, "error", () => {});
+  const policy = createTrustPolicy({ registry, payees: `${HOST}=${PAY_TO}` });
+
+  assert.deepEqual(reasonsFor(policy, option({ amount: "0" })), ["amount 0 is not a positive number of base units"]);
+  assert.deepEqual(reasonsFor(policy, option({ payTo: "0x0000000000000000000000000000000000000000" })), [
+    "payTo 0x0000000000000000000000000000000000000000 is not a valid recipient",
+  ]);
+  const stranger = "0x2222222222222222222222222222222222222222";
+  assert.deepEqual(reasonsFor(policy, option({ payTo: stranger })), [
+    `payTo ${stranger} is not a trusted payee for ${HOST}`,
+  ]);
+  assert.deepEqual(policy.filter([option({ payTo: stranger }), option()], HOST), [option()]);
+  assert.throws(() => policy.filter([option()], "localhost:4021"), {
+    reasons: ["no payees are trusted for localhost:4021"],
+  });
+});
+
+test("rejects payee lists with missing or invalid addresses", () => {
+  assert.throws(
+    () => createTrustPolicy({ registry, payees: "a.example.com=,b.example.com=0x1234" }),
+    (err) =>
+      err.message.includes("a.example.com has no payee addresses") &&
+      err.message.includes('b.example.com: "0x1234" is not an address')
+  );
+});
+
+test("stops a paid fetch before signing for an untrusted payee", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const server = await startPaidServer(t, { routes: { "GET /weather": { priceUsd: "0.0001" } } });
+  const client = new x402Client();
+  registerExactEvmScheme(client, { signer: privateKeyToAccount(PAYER_KEYS[0]) });
+  const trustPolicy = createTrustPolicy({
+    registry,
+    payees: `${new URL(server.url).host}=0x2222222222222222222222222222222222222222`,
+  });
+  const spending = createSpendingPolicy({ registry, ledgerPath: null });
+  const fetchWithPolicy = wrapFetchWithSpendingPolicy(fetch, client, spending, { trustPolicy });
+
+  await assert.rejects(fetchWithPolicy(`${server.url}/weather`), { code: "untrusted_payment_requirements" });
+  server.facilitator.assertNotCalled("verify");
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createWebhookSender, verifyWebhookSignature } from "../x402/webhooks.js";
+import { waitFor } from "./helpers.js";
+
+const SECRET = "test-secret";
+
+// Receiver answering each delivery with the next status in `statuses` (then 200).
+async function startReceiver(t, statuses = []) {
+  const deliveries = [];
+  const app = express();
+  app.post("/events", express.text({ type: "application/json" }), (req, res) => {
+    deliveries.push({ headers: req.headers, body: req.body });
+    res.sendStatus(statuses.shift() ?? 200);
+  });
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { base: `http://localhost:${server.address().port}`, deliveries };
+}
+
+function verify({ headers, body }, overrides = {}) {
+  return verifyWebhookSignature({
+    secret: SECRET,
+    id: headers["x-event-id"],
+    body,
+    timestamp: headers["x-event-timestamp"],
+    signature: headers["x-event-signature"],
+    ...overrides,
+  });
+}
+
+test("signs deliveries so the receiver can verify body, id and timestamp", async (t) => {
+  const { base, deliveries } = await startReceiver(t);
+  const sender = createWebhookSender({ allowlist: `${base}/`, secret: SECRET });
+  assert.equal(sender.send(`${base}/events`, { type: "settle_completed", step: 10 }), true);
+  await waitFor(() => deliveries.length === 1);
+
+  const [delivery] = deliveries;
+  assert.deepEqual(JSON.parse(delivery.body), { type: "settle_completed", step: 10 });
+  assert.equal(verify(delivery), true);
+  assert.equal(verify(delivery, { secret: "other" }), false);
+  assert.equal(verify(delivery, { body: delivery.body.replace("10", "11") }), false);
+  assert.equal(verify(delivery, { id: "another-id" }), false);
+  assert.equal(verify(delivery, { id: undefined }), false);
+  assert.equal(verify(delivery, { timestamp: String(Number(delivery.headers["x-event-timestamp"]) - 1) }), false);
+
+  // The same delivery captured and replayed six minutes later.
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 6 * 60 * 1000);
+  assert.equal(verify(delivery), false);
+});
+
+test("retries failed deliveries with the same id", async (t) => {
+  const { base, deliveries } = await startReceiver(t, [500, 503]);
+  const sender = createWebhookSender({ allowlist: base, secret: SECRET, baseDelayMs: 10 });
+  sender.send(`${base}/events`, { type: "settle_started" });
+  await waitFor(() => deliveries.length === 3);
+
+  assert.equal(new Set(deliveries.map(({ headers }) => headers["x-event-id"])).size, 1);
+  assert.ok(deliveries.every((delivery) => verify(delivery)));
+});
+
+test("only calls URLs on an allowlisted origin at or below the entry's path", () => {
+  const sender = createWebhookSender({
+    allowlist: "http://localhost:4021/, https://api.example.com/x402/events",
+    secret: SECRET,
+  });
+
+  assert.equal(sender.isAllowed("http://localhost:4021/facilitator-events"), true);
+  assert.equal(sender.isAllowed("https://api.example.com/x402/events"), true);
+  assert.equal(sender.isAllowed("https://api.example.com/x402/events/settle"), true);
+  assert.equal(sender.isAllowed("https://api.example.com/x402/events-other"), false);
+  assert.equal(sender.isAllowed("https://api.example.com/admin"), false);
+  assert.equal(sender.isAllowed("http://localhost:4022/facilitator-events"), false);
+  assert.equal(sender.isAllowed("http://api.example.com/x402/events"), false);
+  assert.equal(sender.isAllowed("not a url"), false);
+  assert.equal(sender.send("http://169.254.169.254/latest", {}), false);
+});
+
+test("needs a secret", () => {
+  assert.throws(() => createWebhookSender({ allowlist: "http://localhost/" }), /webhook secret is required/);
+});
@@ -0,0 +1,96 @@
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { readFileSync } from "fs";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const HASH_PATTERN = /^sha256:[0-9a-f]{64}$/;
+
+// API keys are random, so a plain SHA-256 is enough to keep the keys file from
+// being usable if it leaks; only the hash is ever stored.
+export function hashApiKey(key) {
+  return `sha256:${createHash("sha256").update(key).digest("hex")}`;
+}
+
+export function generateApiKey() {
+  return `x402_${randomBytes(24).toString("base64url")}`;
+}
+
+function validateKeys(keys, source) {
+  const errors = [];
+  if (!Array.isArray(keys)) {
+    throw new Error(`${source}: expected a top-level "keys" array`);
+  }
+  keys.forEach((key, i) => {
+    const fail = (message) => errors.push(`keys[${i}]${key?.id ? ` (${key.id})` : ""}: ${message}`);
+    if (typeof key?.id !== "string" || !key.id) fail("id must be a non-empty string");
+    if (!HASH_PATTERN.test(key?.hash || "")) fail('hash must look like "sha256:<64 hex chars>"');
+    if (key?.networks !== undefined && !Array.isArray(key.networks)) fail("networks must be a list");
+    if (key?.payTo !== undefined) {
+      if (!Array.isArray(key.payTo)) {
+        fail("payTo must be a list of addresses");
+      } else {
+        key.payTo.filter((address) => !ADDRESS_PATTERN.test(address)).forEach((address) => {
+          fail(`payTo entry "${address}" is not a 0x address`);
+        });
+      }
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`${source} is invalid:\n  ${errors.join("\n  ")}`);
+  }
+}
+
+// Reads the API keys file: { "keys": [{ "id", "hash", "networks"?, "payTo"? }] }.
+// A key without networks or payTo may be used for any network or recipient.
+export function loadApiKeys(path) {
+  const { keys } = JSON.parse(readFileSync(path, "utf-8"));
+  validateKeys(keys, path);
+  return keys.map((key) => ({
+    id: key.id,
+    hash: Buffer.from(key.hash),
+    networks: key.networks || null,
+    payTo: key.payTo?.map((address) => address.toLowerCase()) || null,
+  }));
+}
+
+function presentedKey(req) {
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith("Bearer ")) return authorization.slice("Bearer ".length).trim();
+  return req.headers["x-api-key"];
+}
+
+// Express middleware for the facilitator endpoints: the request must carry a known
+// key (Authorization: Bearer <key>, or X-API-Key) that is allowed to use the
+// network and pay to the recipient of its paymentRequirements, if it has any.
+// Failures answer 401. The key's restrictions are left on req.apiKeyScope so
+// read endpoints can limit what they return.
+export function createApiKeyAuth({ keysPath }) {
+  const keys = loadApiKeys(keysPath);
+
+  function reject(res, error) {
+    res.status(401).json({ error });
+  }
+
+  return (req, res, next) => {
+    const presented = presentedKey(req);
+    if (!presented) return reject(res, "Missing API key");
+
+    const digest = Buffer.from(hashApiKey(presented));
+    const key = keys.find((candidate) => timingSafeEqual(candidate.hash, digest));
+    if (!key) return reject(res, "Invalid API key");
+
+    const requirements = req.body?.paymentRequirements;
+    if (requirements) {
+      const { network, payTo } = requirements;
+      if (key.networks && !key.networks.includes(network)) {
+        return reject(res, `API key "${key.id}" is not allowed on network ${network}`);
+      }
+      if (key.payTo && !key.payTo.includes(payTo?.toLowerCase())) {
+        return reject(res, `API key "${key.id}" is not allowed to pay ${payTo}`);
+      }
+    }
+
+    req.apiKeyId = key.id;
+    req.apiKeyScope = { networks: key.networks, payTo: key.payTo };
+    next();
+  };
+}
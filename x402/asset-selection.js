@@ -0,0 +1,72 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+
+// Makes an x402Client pay with an option the wallet can actually afford. The
+// client's selector is synchronous, so balances for every offered option are
+// looked up before the payload is created and a policy then narrows the offered
+// options to the funded ones, keeping the server's order of preference. Each
+// payment's balances travel with its own call, so concurrent payments through
+// the same client never see each other's.
+//
+// getBalance(requirements) resolves to the payer's balance of requirements.asset
+// on requirements.network in base units, or null when it cannot be determined.
+// Options with an unknown balance are only used when none is known to be funded.
+export function selectFundedOption(client, getBalance) {
+  const balanceContext = new AsyncLocalStorage();
+  const keyOf = (requirements) => `${requirements.network}:${requirements.asset.toLowerCase()}`;
+
+  const createPaymentPayload = client.createPaymentPayload.bind(client);
+  client.createPaymentPayload = async (paymentRequired) => {
+    const lookups = await Promise.all(
+      paymentRequired.accepts.map(async (requirements) => {
+        try {
+          const balance = await getBalance(requirements);
+          return [keyOf(requirements), balance === null || balance === undefined ? null : BigInt(balance)];
+        } catch {
+          return [keyOf(requirements), null];
+        }
+      })
+    );
+    return balanceContext.run(new Map(lookups), () => createPaymentPayload(paymentRequired));
+  };
+
+  client.registerPolicy((version, requirements) => {
+    const balances = balanceContext.getStore() || new Map();
+    const funded = requirements.filter((r) => {
+      const balance = balances.get(keyOf(r));
+      return balance !== null && balance !== undefined && balance >= BigInt(r.amount);
+    });
+    if (funded.length > 0) return funded;
+    const unknown = requirements.filter((r) => (balances.get(keyOf(r)) ?? null) === null);
+    if (unknown.length > 0) return unknown;
+    throw new Error(
+      `Insufficient balance for every payment option (${requirements
+        .map((r) => `${r.amount} of ${r.asset} on ${r.network}`)
+        .join(", ")})`
+    );
+  });
+
+  return client;
+}
+
+// Balance lookup for selectFundedOption backed by the wallet's account on each
+// registry network, connected lazily to that chain's RPC.
+export function createWalletBalanceLookup(mnemonic, registry) {
+  const accounts = new Map();
+
+  function accountFor(network) {
+    if (!accounts.has(network)) {
+      accounts.set(
+        network,
+        new WalletManagerEvm(mnemonic, { provider: registry.rpcUrl(network) }).getAccount()
+      );
+    }
+    return accounts.get(network);
+  }
+
+  return async ({ network, asset }) => {
+    if (!registry.networks.includes(network)) return null;
+    const account = await accountFor(network);
+    return account.getTokenBalance(asset);
+  };
+}
@@ -0,0 +1,139 @@
+import { readFileSync } from "fs";
+import { CHAINS, DEFAULT_NETWORK, MULTICALL3_ADDRESS } from "./config.js";
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const NETWORK_PATTERN = /^eip155:(\d+)$/;
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function validateChains(chains, source) {
+  if (!isObject(chains)) throw new Error(`${source} is invalid: it must map network ids to chains`);
+  const errors = [];
+  for (const [network, chain] of Object.entries(chains)) {
+    const fail = (message) => errors.push(`${network}: ${message}`);
+    const match = NETWORK_PATTERN.exec(network);
+    if (!match) fail('network id must look like "eip155:<chainId>"');
+    if (!isObject(chain)) {
+      fail("chain must be an object");
+      continue;
+    }
+    if (typeof chain.name !== "string" || !chain.name) fail("name must be a non-empty string");
+    if (match && chain.chainId !== Number(match[1])) fail("chainId does not match the network id");
+    if (!Array.isArray(chain.rpcUrls) || chain.rpcUrls.length === 0) fail("rpcUrls must list at least one URL");
+    if (chain.explorerTxUrl && !chain.explorerTxUrl.includes("{txHash}")) {
+      fail("explorerTxUrl must contain a {txHash} placeholder");
+    }
+    if (chain.confirmations !== undefined && !(Number.isInteger(chain.confirmations) && chain.confirmations > 0)) {
+      fail("confirmations must be a positive integer");
+    }
+    if (chain.multicallAddress !== undefined && !ADDRESS_PATTERN.test(chain.multicallAddress)) {
+      fail("multicallAddress must be a 0x address");
+    }
+    if (chain.tokens !== undefined && !isObject(chain.tokens)) fail("tokens must map symbols to tokens");
+    for (const [symbol, token] of Object.entries(isObject(chain.tokens) ? chain.tokens : {})) {
+      if (!isObject(token)) {
+        fail(`token ${symbol} must be an object`);
+        continue;
+      }
+      if (!ADDRESS_PATTERN.test(token.address || "")) fail(`token ${symbol} needs a 0x address`);
+      if (typeof token.name !== "string" || typeof token.version !== "string") {
+        fail(`token ${symbol} needs its EIP-712 name and version`);
+      }
+      if (!Number.isInteger(token.decimals)) fail(`token ${symbol} needs integer decimals`);
+      const { usdPrice } = token;
+      if (usdPrice !== undefined && (!DECIMAL_PATTERN.test(String(usdPrice)) || Number(usdPrice) <= 0)) {
+        fail(`token ${symbol} usdPrice must be a positive decimal number`);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`${source} is invalid:\n  ${errors.join("\n  ")}`);
+  }
+}
+
+// Builds the chain registry from the built-in CHAINS plus an optional JSON file
+// of the same shape, whose entries are added to (or replace) the built-in ones.
+// `networks` restricts the registry to a subset, given as an array or as a
+// comma-separated list such as the NETWORKS env var. `rpcUrl`, such as the
+// RPC_URL env var, replaces the default network's RPC, e.g. with bin/local-chain.js.
+export function createChainRegistry({ chainsPath, networks, rpcUrl } = {}) {
+  if (typeof networks === "string") {
+    networks = networks
+      .split(",")
+      .map((network) => network.trim())
+      .filter(Boolean);
+  }
+
+  let chains = { ...CHAINS };
+  if (chainsPath) {
+    const extra = JSON.parse(readFileSync(chainsPath, "utf-8"));
+    validateChains(extra, chainsPath);
+    chains = { ...chains, ...extra };
+  }
+
+  if (networks?.length) {
+    const unknown = networks.filter((network) => !chains[network]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown network(s): ${unknown.join(", ")}`);
+    }
+    chains = Object.fromEntries(networks.map((network) => [network, chains[network]]));
+  }
+
+  const defaultNetwork = chains[DEFAULT_NETWORK] ? DEFAULT_NETWORK : Object.keys(chains)[0];
+  if (rpcUrl) chains = { ...chains, [defaultNetwork]: { ...chains[defaultNetwork], rpcUrls: [rpcUrl] } };
+
+  function getChain(network) {
+    const chain = chains[network];
+    if (!chain) throw new Error(`Network ${network} is not in the chain registry`);
+    return chain;
+  }
+
+  // Resolves a token by symbol ("USDT0") or contract address on a network.
+  function findToken(network, symbolOrAddress) {
+    const tokens = chains[network]?.tokens || {};
+    if (tokens[symbolOrAddress]) return { symbol: symbolOrAddress, ...tokens[symbolOrAddress] };
+    const wanted = symbolOrAddress?.toLowerCase();
+    const match = Object.entries(tokens).find(([, token]) => token.address.toLowerCase() === wanted);
+    return match ? { symbol: match[0], ...match[1] } : null;
+  }
+
+  return {
+    networks: Object.keys(chains),
+    defaultNetwork,
+    getChain,
+    findToken,
+
+    rpcUrl(network) {
+      return getChain(network).rpcUrls[0];
+    },
+
+    // Blocks a settlement must be buried under before settle_confirmed (default 1).
+    confirmations(network) {
+      return getChain(network).confirmations || 1;
+    },
+
+    multicallAddress(network) {
+      return getChain(network).multicallAddress || MULTICALL3_ADDRESS;
+    },
+
+    explorerTxUrl(network, txHash) {
+      const template = chains[network]?.explorerTxUrl;
+      return template && txHash ? template.replace("{txHash}", txHash) : null;
+    },
+
+    describe(network) {
+      const chain = chains[network];
+      return chain ? `${chain.name} (chainId: ${chain.chainId})` : network;
+    },
+
+    // Short label for event details, e.g. "USDT0 (0xB8CE...5ebb)".
+    describeToken(network, address) {
+      if (!address) return null;
+      const symbol = findToken(network, address)?.symbol || "Token";
+      return `${symbol} (${address.slice(0, 6)}...${address.slice(-4)})`;
+    },
+  };
+}
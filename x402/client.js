@@ -1,8 +1,11 @@
 import { config } from "dotenv";
-import { x402Client, wrapFetchWithPayment, x402HTTPClient } from "@x402/fetch";
+import { x402Client, x402HTTPClient } from "@x402/fetch";
 import { registerExactEvmScheme } from "@x402/evm/exact/client";
 import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
-import { PLASMA_RPC } from "./config.js";
+import { createChainRegistry } from "./chains.js";
+import { selectFundedOption, createWalletBalanceLookup } from "./asset-selection.js";
+import { createSpendingPolicy, spendingPolicyOptionsFromEnv, wrapFetchWithSpendingPolicy } from "./spending-policy.js";
+import { createTrustPolicy, trustPolicyOptionsFromEnv } from "./trust-policy.js";
 
 config();
 
@@ -17,16 +20,28 @@ if (!mnemonic) {
 }
 
 async function main() {
+  const registry = createChainRegistry({
+    chainsPath: process.env.CHAINS_PATH,
+    networks: process.env.NETWORKS,
+    rpcUrl: process.env.RPC_URL,
+  });
   const evmSigner = await new WalletManagerEvm(mnemonic, {
-    provider: PLASMA_RPC,
+    provider: registry.rpcUrl(registry.defaultNetwork),
   }).getAccount();
 
   console.log(`Signer address: ${evmSigner.address}`);
 
   const client = new x402Client();
   registerExactEvmScheme(client, { signer: evmSigner });
+  selectFundedOption(client, createWalletBalanceLookup(mnemonic, registry));
+  client.onAfterPaymentCreation(async ({ selectedRequirements: { amount, asset, network } }) => {
+    const token = registry.findToken(network, asset);
+    console.log(`Paying ${amount} units of ${token?.symbol || asset} on ${registry.describe(network)}`);
+  });
 
-  const fetchWithPayment = wrapFetchWithPayment(fetch, client);
+  const policy = createSpendingPolicy({ registry, ...spendingPolicyOptionsFromEnv() });
+  const trustPolicy = createTrustPolicy({ registry, ...trustPolicyOptionsFromEnv() });
+  const fetchWithPayment = wrapFetchWithSpendingPolicy(fetch, client, policy, { trustPolicy });
 
   console.log(`Making request to: ${url}`);
 
@@ -46,6 +61,10 @@ async function main() {
 }
 
 main().catch((error) => {
+  if (error?.code === "spending_limit_exceeded" || error?.code === "untrusted_payment_requirements") {
+    console.error(error.message);
+    process.exit(1);
+  }
   console.error(error?.response?.data?.error ?? error);
   process.exit(1);
 });
@@ -1,4 +1,27 @@
-export const USDT0_ADDRESS = "0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb";
-export const PLASMA_RPC = "https://rpc.plasma.to";
-export const PLASMA_NETWORK = "eip155:9745";
-export const PRICE_UNITS = "100";
+export const DEFAULT_NETWORK = "eip155:9745";
+export const DEFAULT_ASSET = "USDT0";
+
+// Multicall3 is deployed at the same address on most EVM chains; a chain entry
+// can override it with multicallAddress. Used for batched settlement.
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Built-in chain registry, keyed by CAIP-2 network id. Token entries carry the
+// EIP-712 domain (name, version) used to sign EIP-3009 authorizations and an
+// optional usdPrice (default 1) used to convert a route's priceUsd. More
+// chains can be added at runtime through a CHAINS_PATH file (see chains.js).
+export const CHAINS = {
+  "eip155:9745": {
+    name: "Plasma",
+    chainId: 9745,
+    rpcUrls: ["https://rpc.plasma.to"],
+    explorerTxUrl: "https://explorer.plasma.to/tx/{txHash}",
+    tokens: {
+      USDT0: {
+        address: "0xB8CE59FC3717ada4C02eaDF9682A9e934F625ebb",
+        name: "USDT0",
+        version: "1",
+        decimals: 6,
+      },
+    },
+  },
+};
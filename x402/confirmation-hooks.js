@@ -0,0 +1,217 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { pad } from "viem";
+import { createJsonRpc } from "./json-rpc.js";
+import { recordId } from "./settlement-store.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 3000;
+const REORG_LOOKBACK_BLOCKS = 256;
+const MISSING_POLLS_BEFORE_DROPPED = 2;
+
+// keccak256("AuthorizationUsed(address,bytes32)")
+const AUTHORIZATION_USED_TOPIC = "0x98de503528ee59b575ef0c0a2576a82497bfc029a5685b209e9ec333479b10a5";
+
+// Follows successful settlements until they are registry.confirmations(network)
+// blocks deep, then emits settle_confirmed. Each poll looks up the settlement
+// transaction's receipt; when it is gone, the token's AuthorizationUsed log shows
+// whether the authorization was executed by another transaction (a gas-bumped
+// replacement, or the same payment re-mined after a reorg), which is then
+// followed instead. A receipt that shows the transaction reverted, with no such
+// log, ends the settlement with settle_failed. If neither a receipt nor a log is
+// found for two polls in a row the settlement was dropped or reorged out:
+// settle_reorged is emitted and the payment is settled again through `settle`
+// while its authorization is still valid, otherwise it ends with settle_failed.
+//
+// Events are emitted in the async context of the settle request that started the
+// tracking, so they reach the same SSE stream or X-Event-Callback URL. store, if
+// given, gets confirmedAt on confirmation and is reopened for re-settlement.
+
+export function createConfirmationHooks({ registry, emit, settle, store, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+  const tracked = new Map();
+  const rpcs = new Map();
+  let timer = null;
+  let polling = false;
+
+  function rpcFor(network) {
+    if (!rpcs.has(network)) rpcs.set(network, createJsonRpc(registry.rpcUrl(network)));
+    return rpcs.get(network);
+  }
+
+  function details(entry, extra = {}) {
+    return {
+      transactionHash: entry.transaction,
+      explorerUrl: registry.explorerTxUrl(entry.network, entry.transaction),
+      network: entry.network,
+      depth: entry.depth,
+      ...extra,
+    };
+  }
+
+  async function findExecution(entry, rpc) {
+    const { from, nonce } = entry.paymentPayload.payload.authorization;
+    const logs = await rpc("eth_getLogs", [
+      {
+        address: entry.requirements.asset,
+        topics: [AUTHORIZATION_USED_TOPIC, pad(from.toLowerCase()), nonce.toLowerCase()],
+        fromBlock: `0x${entry.fromBlock.toString(16)}`,
+        toBlock: "latest",
+      },
+    ]);
+    return logs.find((log) => !log.removed) || null;
+  }
+
+  function confirmed(entry, confirmations) {
+    tracked.delete(entry.key);
+    store?.update(entry.paymentPayload, entry.requirements, { transaction: entry.transaction, confirmedAt: Date.now() });
+    entry.restore(() =>
+      emit("settle_confirmed", {
+        step: 11,
+        title: "Settlement Final",
+        description: `Settlement is ${confirmations} block(s) deep on ${registry.describe(entry.network)}`,
+        details: details(entry, { confirmations }),
+        actor: "blockchain",
+        target: "facilitator",
+      })
+    );
+  }
+
+  function reverted(entry) {
+    tracked.delete(entry.key);
+    store?.update(entry.paymentPayload, entry.requirements, {
+      status: "settle_failed",
+      errorReason: "transaction_reverted",
+    });
+    entry.restore(() =>
+      emit("settle_failed", {
+        step: 11,
+        title: "Settlement Failed",
+        description: "Settlement transaction was mined but reverted",
+        details: details(entry, { error: "transaction_reverted" }),
+        actor: "blockchain",
+        target: "facilitator",
+        isError: true,
+      })
+    );
+  }
+
+  function dropped(entry) {
+    tracked.delete(entry.key);
+    const validBefore = Number(entry.paymentPayload.payload.authorization.validBefore);
+    const stillValid = !(validBefore > 0) || validBefore * 1000 > Date.now();
+
+    entry.restore(() =>
+      emit("settle_reorged", {
+        step: 11,
+        title: "Settlement Reorged",
+        description: stillValid
+          ? "Settlement transaction was dropped or reorged out; settling the payment again"
+          : "Settlement transaction was dropped or reorged out after the authorization expired",
+        details: details(entry),
+        actor: "blockchain",
+        target: "facilitator",
+        isError: true,
+      })
+    );
+
+    if (!stillValid) {
+      store?.update(entry.paymentPayload, entry.requirements, {
+        status: "settle_failed",
+        errorReason: "authorization_expired_after_reorg",
+      });
+      entry.restore(() =>
+        emit("settle_failed", {
+          step: 11,
+          title: "Settlement Failed",
+          description: "Payment authorization expired before it could be settled again",
+          details: details(entry, { error: "authorization_expired_after_reorg" }),
+          actor: "facilitator",
+          isError: true,
+        })
+      );
+      return;
+    }
+
+    store?.update(entry.paymentPayload, entry.requirements, {
+      status: "settling",
+      transaction: null,
+      errorReason: "reorged",
+    });
+    entry
+      .restore(() => settle(entry.paymentPayload, entry.requirements))
+      .catch((err) => console.error(`Re-settlement of ${entry.transaction} failed:`, err.message));
+  }
+
+  async function check(entry, head) {
+    const rpc = rpcFor(entry.network);
+    let receipt = await rpc("eth_getTransactionReceipt", [entry.transaction]);
+    if (!receipt || receipt.status !== "0x1") {
+      const log = await findExecution(entry, rpc);
+      if (log) {
+        entry.transaction = log.transactionHash;
+        receipt = { blockNumber: log.blockNumber };
+      } else if (receipt) {
+        reverted(entry);
+        return;
+      }
+    }
+
+    if (!receipt) {
+      entry.missing += 1;
+      if (entry.missing >= MISSING_POLLS_BEFORE_DROPPED) dropped(entry);
+      return;
+    }
+    entry.missing = 0;
+    const confirmations = head - Number(receipt.blockNumber) + 1;
+    if (confirmations >= entry.depth) confirmed(entry, confirmations);
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    const heads = new Map();
+    for (const entry of [...tracked.values()]) {
+      try {
+        if (!heads.has(entry.network)) heads.set(entry.network, Number(await rpcFor(entry.network)("eth_blockNumber")));
+        await check(entry, heads.get(entry.network));
+      } catch (err) {
+        console.error(`Confirmation check for ${entry.transaction} failed:`, err.message);
+      }
+    }
+    polling = false;
+    if (tracked.size === 0) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  async function track(paymentPayload, requirements, transaction) {
+    const key = recordId(paymentPayload, requirements);
+    if (!key || !transaction) return;
+    const network = requirements.network;
+    const head = Number(await rpcFor(network)("eth_blockNumber"));
+    tracked.set(key, {
+      key,
+      network,
+      transaction,
+      paymentPayload,
+      requirements,
+      depth: registry.confirmations(network),
+      fromBlock: Math.max(0, head - REORG_LOOKBACK_BLOCKS),
+      missing: 0,
+      restore: AsyncLocalStorage.snapshot(),
+    });
+    if (!timer) {
+      timer = setInterval(poll, pollIntervalMs);
+      timer.unref();
+    }
+  }
+
+  // Register with createFacilitator({ hooks }) next to the lifecycle hooks.
+  return {
+    async onAfterSettle({ paymentPayload, requirements, result }) {
+      if (!result?.success) return;
+      track(paymentPayload, requirements, result.transaction).catch((err) =>
+        console.error(`Cannot track confirmations of ${result.transaction}:`, err.message)
+      );
+    },
+  };
+}
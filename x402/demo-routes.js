@@ -0,0 +1,210 @@
+import { formatUnits } from "viem";
+import { x402Client, x402HTTPClient, wrapFetchWithPayment } from "@x402/fetch";
+import { registerExactEvmScheme as registerClientScheme } from "@x402/evm/exact/client";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// "0.0001 USDT0 (100 units)", or "100 units of 0x..." for a token the registry
+// does not know.
+function describeAmount(registry, { network, asset, amount }) {
+  const token = registry.networks.includes(network) ? registry.findToken(network, asset) : null;
+  if (!token) return `${amount} units of ${asset}`;
+  return `${formatUnits(BigInt(amount), token.decimals)} ${token.symbol} (${amount} units)`;
+}
+
+// Demo endpoints behind the HTTP and MCP demos: the paid weather and forecast
+// handlers, and the /demo/* endpoints that drive a full payment flow from the
+// server's own wallet while broadcasting each step to the timeline UI.
+export function registerDemoRoutes(
+  app,
+  { broadcastEvent, connectedClients, walletAccount, registry, httpServer, payTo, facilitatorLabel }
+) {
+  app.get("/weather", (req, res) => {
+    res.json({
+      report: {
+        weather: "sunny",
+        temperature: 70,
+        location: "San Francisco",
+        timestamp: new Date().toISOString(),
+      },
+    });
+  });
+
+  app.get("/forecast", (req, res) => {
+    const days = Number(req.query.days ?? 1);
+    res.json({
+      location: "San Francisco",
+      forecast: Array.from({ length: days }, (_, i) => ({
+        date: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        weather: "sunny",
+        temperature: 70,
+      })),
+    });
+  });
+
+  app.post("/demo/start-flow", async (req, res) => {
+    broadcastEvent("flow_reset");
+
+    try {
+      const weatherUrl = `http://localhost:${req.socket.localPort}/weather`;
+
+      broadcastEvent("request_initiated", {
+        step: 1,
+        title: "Request Initiated",
+        description: "Client sends GET request to /weather endpoint",
+        details: {
+          method: "GET",
+          url: weatherUrl,
+          signer: walletAccount.address,
+        },
+        actor: "client",
+        target: "server",
+      });
+
+      await sleep(300);
+
+      const initial402 = await fetch(weatherUrl);
+
+      if (initial402.status === 402) {
+        // The demo wallet pays on the default network, so show that offer.
+        const { accepts = [] } = new x402HTTPClient(new x402Client()).getPaymentRequiredResponse(
+          (name) => initial402.headers.get(name),
+          await initial402.json().catch(() => undefined)
+        );
+        const requirements = accepts.find((option) => option.network === registry.defaultNetwork) || accepts[0];
+        const price = requirements ? describeAmount(registry, requirements) : "unknown";
+        const network = requirements?.network || registry.defaultNetwork;
+
+        broadcastEvent("payment_required", {
+          step: 2,
+          title: "402 Payment Required",
+          description: "Server responded with payment requirements",
+          details: {
+            status: 402,
+            price,
+            payTo: requirements?.payTo || payTo,
+            network: `${registry.describe(network)} ${network}`,
+            scheme: "exact",
+          },
+          actor: "server",
+          target: "client",
+        });
+
+        await sleep(300);
+
+        broadcastEvent("payment_signing", {
+          step: 3,
+          title: "Signing Payment Authorization",
+          description: "Creating EIP-3009 TransferWithAuthorization signature",
+          details: {
+            signer: walletAccount.address,
+            to: requirements?.payTo || payTo,
+            amount: price,
+            method: "EIP-712 Typed Data Signature",
+          },
+          actor: "client",
+        });
+
+        await sleep(400);
+
+        broadcastEvent("payment_signed", {
+          step: 4,
+          title: "Payment Signed",
+          description: "EIP-712 typed data signature created successfully",
+          details: {
+            signerAddress: walletAccount.address,
+            signatureType: "TransferWithAuthorization",
+          },
+          actor: "client",
+        });
+
+        await sleep(200);
+
+        broadcastEvent("request_with_payment", {
+          step: 5,
+          title: "Request with Payment Payload",
+          description: "Retrying request with signed payment attached",
+          details: {
+            method: "GET",
+            url: weatherUrl,
+            paymentHeader: "payment-signature",
+          },
+          actor: "client",
+          target: "server",
+        });
+
+        await sleep(200);
+      }
+
+      const client = new x402Client();
+      registerClientScheme(client, { signer: walletAccount });
+      const wrappedFetch = wrapFetchWithPayment(fetch, client);
+
+      const response = await wrappedFetch(weatherUrl, { method: "GET" });
+      const body = await response.json();
+
+      if (response.ok) {
+        const settleFirst =
+          httpServer.getRouteConfig("/weather", "GET")?.settlement?.mode === "settle-first";
+        broadcastEvent("response_received", {
+          step: settleFirst ? 10 : 8,
+          title: "Weather Data Received",
+          description: settleFirst
+            ? "Client received protected resource after on-chain settlement"
+            : "Client received protected resource after successful verification",
+          details: {
+            status: response.status,
+            weatherData: body,
+          },
+          actor: "server",
+          target: "client",
+        });
+
+        res.json({ success: true, weatherData: body });
+      } else {
+        broadcastEvent("flow_error", {
+          title: "Request Failed",
+          description: `Request failed with status ${response.status}`,
+          details: { status: response.status, body },
+          isError: true,
+        });
+
+        res.json({ success: false, status: response.status, body });
+      }
+    } catch (error) {
+      console.error("Flow error:", error);
+      broadcastEvent("flow_error", {
+        title: "Flow Error",
+        description: error.message,
+        details: {
+          error: error.message,
+          stack: error.stack?.split("\n").slice(0, 3),
+        },
+        isError: true,
+      });
+
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get("/demo/status", (req, res) => {
+    res.json({
+      server: {
+        status: "running",
+        port: req.socket.localPort,
+        settlement: httpServer.getRouteConfig("/weather", "GET")?.settlement?.mode || "verify-first",
+        facilitator: facilitatorLabel,
+        address: walletAccount.address,
+        payTo: payTo,
+      },
+      connectedClients: connectedClients(),
+    });
+  });
+
+  app.post("/demo/reset", (req, res) => {
+    broadcastEvent("flow_reset");
+    res.json({ success: true });
+  });
+}
@@ -0,0 +1,126 @@
+// Tracks how much verified-but-unsettled value each payer (and the server as a
+// whole) currently has outstanding. State is driven entirely by settlement
+// lifecycle events carrying a settlementId, so it follows the settlement queue
+// including entries resumed from its journal after a restart. Amounts are kept
+// per asset, since base units of tokens with different decimals cannot be added,
+// so amount limits apply to each asset separately.
+
+const RESERVE_EVENTS = new Set(["settle_queued", "settle_started"]);
+const RELEASE_EVENTS = new Set(["settle_completed", "settle_failed", "settle_skipped"]);
+
+function toLimit(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return BigInt(value);
+}
+
+export function createExposureTracker({
+  maxAmountPerPayer,
+  maxCountPerPayer,
+  maxAmountTotal,
+  maxCountTotal,
+  overLimit = "settle-first",
+} = {}) {
+  if (overLimit !== "settle-first" && overLimit !== "reject") {
+    throw new Error(`Unknown overLimit policy "${overLimit}" (expected "settle-first" or "reject")`);
+  }
+
+  const limits = {
+    amountPerPayer: toLimit(maxAmountPerPayer),
+    countPerPayer: toLimit(maxCountPerPayer),
+    amountTotal: toLimit(maxAmountTotal),
+    countTotal: toLimit(maxCountTotal),
+  };
+
+  const reservations = new Map();
+  const payers = new Map();
+  const total = { amounts: new Map(), count: 0n };
+
+  const assetKey = (asset) => (asset || "").toLowerCase();
+  const amountOf = (bucket, asset) => bucket?.amounts.get(assetKey(asset)) || 0n;
+
+  function adjust(bucket, asset, amount, count) {
+    const key = assetKey(asset);
+    const next = (bucket.amounts.get(key) || 0n) + amount;
+    if (next === 0n) {
+      bucket.amounts.delete(key);
+    } else {
+      bucket.amounts.set(key, next);
+    }
+    bucket.count += count;
+  }
+
+  function reserve(id, payer, asset, amount) {
+    if (reservations.has(id) || !payer) return;
+    const key = payer.toLowerCase();
+    const value = BigInt(amount || 0);
+    reservations.set(id, { payer: key, asset, amount: value });
+
+    if (!payers.has(key)) payers.set(key, { amounts: new Map(), count: 0n });
+    adjust(payers.get(key), asset, value, 1n);
+    adjust(total, asset, value, 1n);
+  }
+
+  function release(id) {
+    const reservation = reservations.get(id);
+    if (!reservation) return;
+    reservations.delete(id);
+
+    const bucket = payers.get(reservation.payer);
+    adjust(bucket, reservation.asset, -reservation.amount, -1n);
+    if (bucket.count === 0n) payers.delete(reservation.payer);
+    adjust(total, reservation.asset, -reservation.amount, -1n);
+  }
+
+  return {
+    overLimit,
+
+    observe(type, data) {
+      const details = data?.details;
+      if (!details?.settlementId) return;
+      if (RESERVE_EVENTS.has(type)) {
+        reserve(details.settlementId, details.payer, details.asset, details.amount);
+      } else if (RELEASE_EVENTS.has(type)) {
+        release(details.settlementId);
+      }
+    },
+
+    // Returns the name of the first limit the payment would breach, or null.
+    check(payer, asset, amount) {
+      const value = BigInt(amount || 0);
+      const current = payer && payers.get(payer.toLowerCase());
+
+      if (limits.amountPerPayer !== null && amountOf(current, asset) + value > limits.amountPerPayer) {
+        return "payer_unsettled_amount_exceeded";
+      }
+      if (limits.countPerPayer !== null && (current?.count || 0n) + 1n > limits.countPerPayer) {
+        return "payer_unsettled_count_exceeded";
+      }
+      if (limits.amountTotal !== null && amountOf(total, asset) + value > limits.amountTotal) {
+        return "total_unsettled_amount_exceeded";
+      }
+      if (limits.countTotal !== null && total.count + 1n > limits.countTotal) {
+        return "total_unsettled_count_exceeded";
+      }
+      return null;
+    },
+
+    snapshot() {
+      const format = (limit) => (limit === null ? null : limit.toString());
+      const formatBucket = ({ amounts, count }) => ({
+        amounts: Object.fromEntries([...amounts].map(([asset, amount]) => [asset, amount.toString()])),
+        count: Number(count),
+      });
+      return {
+        overLimit,
+        limits: {
+          maxAmountPerPayer: format(limits.amountPerPayer),
+          maxCountPerPayer: format(limits.countPerPayer),
+          maxAmountTotal: format(limits.amountTotal),
+          maxCountTotal: format(limits.countTotal),
+        },
+        total: formatBucket(total),
+        payers: Object.fromEntries([...payers].map(([payer, bucket]) => [payer, formatBucket(bucket)])),
+      };
+    },
+  };
+}
@@ -0,0 +1,210 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import express from "express";
+import { x402Facilitator } from "@x402/core/facilitator";
+import { registerExactEvmScheme } from "@x402/evm/exact/facilitator";
+import { createSettlementRecorder } from "./settlement-store.js";
+import { createIdempotentSettle, recordBroadcasts } from "./settlement-idempotency.js";
+import { createConfirmationHooks } from "./confirmation-hooks.js";
+
+const HOOK_NAMES = [
+  "onBeforeVerify",
+  "onAfterVerify",
+  "onVerifyFailure",
+  "onBeforeSettle",
+  "onAfterSettle",
+  "onSettleFailure",
+];
+
+// --- Lifecycle event callback via X-Event-Callback header ---
+// The resource server sends X-Event-Callback header with each /verify and /settle request,
+// and X-Settlement-Mode with each /settle it runs before serving the resource.
+// AsyncLocalStorage threads both into lifecycle hooks without global state.
+
+const callbackStore = new AsyncLocalStorage();
+
+// A batched settlement transaction carries at most this many payments.
+const MAX_SETTLEMENTS_PER_TRANSACTION = 1000;
+
+export function currentEventCallback() {
+  return callbackStore.getStore()?.callbackUrl;
+}
+
+// "settle-first" or "verify-first", for createLifecycleHooks({ settlementMode }).
+export function currentSettlementMode() {
+  return callbackStore.getStore()?.settlementMode === "settle-first" ? "settle-first" : "verify-first";
+}
+
+function requestContext(req) {
+  return { callbackUrl: req.headers["x-event-callback"], settlementMode: req.headers["x-settlement-mode"] };
+}
+
+function toNetworks(networks) {
+  return typeof networks === "string" ? networks.split(",").map((network) => network.trim()) : networks;
+}
+
+// Builds an x402Facilitator for the exact EVM scheme. signer is a facilitator
+// signer used on every network, or an object mapping each network to its own
+// signer (networks then defaults to its keys). hooks is an object, or a list of
+// objects, with any of the x402Facilitator lifecycle hooks (onBeforeVerify, ...).
+export function createFacilitator({ signer, networks, hooks = [] }) {
+  const perNetwork = typeof signer?.getAddresses !== "function";
+  const enabled = toNetworks(networks) || (perNetwork ? Object.keys(signer || {}) : []);
+  if (enabled.length === 0) throw new Error("At least one network is required");
+
+  const facilitator = new x402Facilitator();
+  for (const hookSet of [].concat(hooks)) {
+    HOOK_NAMES.filter((name) => hookSet[name]).forEach((name) => facilitator[name](hookSet[name]));
+  }
+
+  for (const network of enabled) {
+    const networkSigner = perNetwork ? signer?.[network] : signer;
+    if (!networkSigner) throw new Error(`No facilitator signer for network ${network}`);
+    registerExactEvmScheme(facilitator, { signer: networkSigner, networks: network });
+  }
+
+  return { facilitator, networks: enabled, signerFor: (network) => (perNetwork ? signer[network] : signer) };
+}
+
+function errorMessage(error) {
+  return error instanceof Error ? error.message : "Unknown error";
+}
+
+// Express router exposing a facilitator over HTTP: POST /verify, POST /settle,
+// GET /supported and GET /health. Mount it anywhere, e.g. app.use("/x402", router).
+// auth, when given, is middleware run before /verify and /settle (see api-keys.js).
+// settlementStore, when given, records every verify and settle outcome, makes
+// /settle idempotent per authorization (see settlement-idempotency.js) and adds
+// GET /settlements and GET /settlements/:txHash, also behind auth.
+// confirmations, when given as { emit, pollIntervalMs? }, follows each settlement
+// to its chain's confirmation depth (needs registry; see confirmation-hooks.js).
+// registry, when given, adds chain names to /health. Signers from
+// createSignerPool add each pooled account there, signers wrapped by
+// createTransactionManager their transaction queue, and batching signers the
+// payments waiting for the next batch.
+export function createFacilitatorRouter({ signer, networks, hooks = [], registry, auth, settlementStore, confirmations }) {
+  const extraHooks = [];
+  if (settlementStore) extraHooks.push(createSettlementRecorder(settlementStore));
+  if (confirmations) {
+    if (!registry) throw new Error("Confirmation tracking needs the chain registry");
+    extraHooks.push(
+      createConfirmationHooks({
+        ...confirmations,
+        registry,
+        store: settlementStore,
+        settle: (paymentPayload, paymentRequirements) => settle(paymentPayload, paymentRequirements),
+      })
+    );
+  }
+
+  const { facilitator, networks: enabled, signerFor } = createFacilitator({
+    signer: settlementStore ? recordBroadcasts(signer, settlementStore) : signer,
+    networks,
+    hooks: [].concat(hooks, extraHooks),
+  });
+  const authenticate = auth || ((req, res, next) => next());
+  const settlePayment = settlementStore
+    ? createIdempotentSettle({ facilitator, store: settlementStore, signerFor })
+    : (paymentPayload, paymentRequirements) => facilitator.settle(paymentPayload, paymentRequirements);
+  // Batching signers (settlement-batcher.js) need each settlement in its own
+  // context to match it to its result in the shared batch receipt.
+  const settle = (paymentPayload, paymentRequirements) => {
+    const network = paymentRequirements?.network;
+    const networkSigner = enabled.includes(network) ? signerFor(network) : null;
+    const run = () => settlePayment(paymentPayload, paymentRequirements);
+    return networkSigner?.runSettlement ? networkSigner.runSettlement(run) : run();
+  };
+
+  const router = express.Router();
+  router.use(express.json());
+
+  router.post("/verify", authenticate, async (req, res) => {
+    try {
+      const { paymentPayload, paymentRequirements } = req.body;
+      if (!paymentPayload || !paymentRequirements) {
+        return res.status(400).json({ error: "Missing paymentPayload or paymentRequirements" });
+      }
+      const response = await callbackStore.run(requestContext(req), () =>
+        facilitator.verify(paymentPayload, paymentRequirements)
+      );
+      res.json(response);
+    } catch (error) {
+      console.error("Verify error:", error);
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.post("/settle", authenticate, async (req, res) => {
+    try {
+      const { paymentPayload, paymentRequirements } = req.body;
+      if (!paymentPayload || !paymentRequirements) {
+        return res.status(400).json({ error: "Missing paymentPayload or paymentRequirements" });
+      }
+      const response = await callbackStore.run(requestContext(req), () =>
+        settle(paymentPayload, paymentRequirements)
+      );
+      res.json(response);
+    } catch (error) {
+      console.error("Settle error:", error);
+      if (error instanceof Error && error.message.includes("Settlement aborted:")) {
+        return res.json({
+          success: false,
+          errorReason: error.message.replace("Settlement aborted: ", ""),
+          network: req.body?.paymentPayload?.network || "unknown",
+        });
+      }
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  router.get("/supported", async (req, res) => {
+    try {
+      const response = facilitator.getSupported();
+      res.json(response);
+    } catch (error) {
+      console.error("Supported error:", error);
+      res.status(500).json({ error: errorMessage(error) });
+    }
+  });
+
+  if (settlementStore) {
+    // A scoped API key only sees records on its networks and to its recipients.
+    const inScope = (scope) => (record) =>
+      (!scope?.networks || scope.networks.includes(record.network)) &&
+      (!scope?.payTo || scope.payTo.includes(record.payTo?.toLowerCase()));
+
+    router.get("/settlements", authenticate, (req, res) => {
+      res.json({ settlements: settlementStore.list(req.query, inScope(req.apiKeyScope)) });
+    });
+
+    router.get("/settlements/:txHash", authenticate, (req, res) => {
+      const settlements = settlementStore.list(
+        { transaction: req.params.txHash, limit: MAX_SETTLEMENTS_PER_TRANSACTION },
+        inScope(req.apiKeyScope)
+      );
+      if (settlements.length === 0) {
+        return res.status(404).json({ error: "No settlement with that transaction hash" });
+      }
+      res.json({ transaction: req.params.txHash, settlements });
+    });
+  }
+
+  router.get("/health", (req, res) => {
+    res.json({
+      status: "ok",
+      networks: enabled.map((network) => {
+        const chain = registry?.networks.includes(network) ? registry.getChain(network) : null;
+        const networkSigner = signerFor(network);
+        return {
+          network,
+          ...(chain && { chainId: chain.chainId, name: chain.name }),
+          facilitator: networkSigner.getAddresses()[0],
+          ...(networkSigner.signerStats && { signers: networkSigner.signerStats() }),
+          ...(networkSigner.transactionStats && { transactions: networkSigner.transactionStats() }),
+          ...(networkSigner.batchStats && { batching: networkSigner.batchStats() }),
+        };
+      }),
+    });
+  });
+
+  return router;
+}
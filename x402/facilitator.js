@@ -1,209 +1,139 @@
 import { config } from "dotenv";
-import { AsyncLocalStorage } from "node:async_hooks";
 import express from "express";
-import { x402Facilitator } from "@x402/core/facilitator";
-import { registerExactEvmScheme } from "@x402/evm/exact/facilitator";
-import WalletAccountEvmX402Facilitator from "@semanticpay/wdk-wallet-evm-x402-facilitator";
-import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
-import { USDT0_ADDRESS, PLASMA_RPC, PLASMA_NETWORK } from "./config.js";
+import { createChainRegistry } from "./chains.js";
+import { createFacilitatorRouter, currentEventCallback, currentSettlementMode } from "./facilitator-router.js";
+import { createLifecycleHooks } from "./lifecycle-hooks.js";
+import { createApiKeyAuth } from "./api-keys.js";
+import { createWebhookSender } from "./webhooks.js";
+import { createDerivedSignerPool } from "./signer-pool.js";
+import { createBatchingSigner } from "./settlement-batcher.js";
+import { createSettlementStore } from "./settlement-store.js";
 
 config();
 
 const PORT = process.env.PORT || 4022;
 const MNEMONIC = process.env.MNEMONIC;
+const API_KEYS_PATH = process.env.FACILITATOR_API_KEYS_PATH;
+const AUTH_OFF = process.env.FACILITATOR_AUTH === "off";
+const CALLBACK_ALLOWLIST = process.env.EVENT_CALLBACK_ALLOWLIST;
+const WEBHOOK_SECRET = process.env.EVENT_WEBHOOK_SECRET;
+const TX_STUCK_AFTER_SECONDS = process.env.TX_STUCK_AFTER_SECONDS;
+const TX_MAX_GAS_BUMPS = process.env.TX_MAX_GAS_BUMPS;
+const SIGNERS = process.env.FACILITATOR_SIGNERS || "1";
+const MIN_GAS_BALANCE = process.env.SIGNER_MIN_GAS_BALANCE;
+const BATCH_WINDOW_MS = process.env.SETTLEMENT_BATCH_WINDOW_MS;
+const BATCH_SIZE = process.env.SETTLEMENT_BATCH_SIZE;
+const SETTLEMENT_STORE_PATH =
+  process.env.SETTLEMENT_STORE_PATH || new URL("./facilitator-settlements.jsonl", import.meta.url).pathname;
 
 if (!MNEMONIC) {
   console.error("MNEMONIC environment variable is required");
   process.exit(1);
 }
 
-const walletAccount = await new WalletManagerEvm(MNEMONIC, {
-  provider: PLASMA_RPC,
-}).getAccount();
-
-const evmSigner = new WalletAccountEvmX402Facilitator(walletAccount);
-
-// --- Lifecycle event callback via X-Event-Callback header ---
-// The resource server sends X-Event-Callback header with each /verify and /settle request.
-// AsyncLocalStorage threads the callback URL into lifecycle hooks without global state.
-
-const callbackStore = new AsyncLocalStorage();
+// Without keys anyone who can reach the port could spend the facilitator's gas,
+// so running open has to be asked for explicitly.
+if (!API_KEYS_PATH && !AUTH_OFF) {
+  console.error("FACILITATOR_API_KEYS_PATH is required; set FACILITATOR_AUTH=off to run without API keys");
+  process.exit(1);
+}
 
-function pushEvent(payload) {
-  const callbackUrl = callbackStore.getStore();
-  if (!callbackUrl) return;
-  fetch(callbackUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  }).catch(() => {});
+if (!/^[1-9]\d*$/.test(SIGNERS)) {
+  console.error("FACILITATOR_SIGNERS must be a positive integer");
+  process.exit(1);
 }
 
-const facilitator = new x402Facilitator()
-  .onBeforeVerify(async (context) => {
-    console.log("Before verify:", context.requirements?.network);
-    pushEvent({
-      type: "verify_started",
-      step: 6,
-      title: "Payment Verification Started",
-      description: "Facilitator is verifying the payment signature and requirements",
-      details: {
-        network: context.requirements?.network,
-        checks: ["Signature validity", "Signer balance", "Nonce uniqueness", "Valid time window"],
-      },
-      actor: "facilitator",
-    });
-  })
-  .onAfterVerify(async (context) => {
-    console.log("After verify - valid:", context.result?.isValid);
-    pushEvent({
-      type: "verify_completed",
-      step: 7,
-      title: "Payment Verified",
-      description: context.result?.isValid
-        ? "Payment signature and requirements verified successfully"
-        : "Payment verification failed",
-      details: {
-        isValid: context.result?.isValid,
-        network: context.requirements?.network,
-      },
-      actor: "facilitator",
-    });
-  })
-  .onVerifyFailure(async (context) => {
-    console.log("Verify failure:", context.error);
-    pushEvent({
-      type: "verify_failed",
-      step: 7,
-      title: "Verification Failed",
-      description: `Payment verification failed: ${context.error?.message}`,
-      details: { error: context.error?.message },
-      actor: "facilitator",
-      isError: true,
-    });
-  })
-  .onBeforeSettle(async (context) => {
-    console.log("Before settle:", context.requirements?.network);
-    pushEvent({
-      type: "settle_started",
-      step: 9,
-      title: "On-Chain Settlement Started",
-      description: "Broadcasting receiveWithAuthorization transaction to Plasma blockchain",
-      details: {
-        contract: `USDT0 (${USDT0_ADDRESS.slice(0, 6)}...${USDT0_ADDRESS.slice(-4)})`,
-        method: "receiveWithAuthorization",
-        chain: "Plasma (chainId: 9745)",
-        network: context.requirements?.network,
-      },
-      actor: "facilitator",
-      target: "blockchain",
-    });
-  })
-  .onAfterSettle(async (context) => {
-    const txHash = context.result?.transaction;
-    console.log("After settle - success:", context.result?.success);
-    if (txHash) {
-      console.log("Transaction:", txHash);
-    }
-    pushEvent({
-      type: "settle_completed",
-      step: 10,
-      title: "Settlement Confirmed",
-      description: "Payment transaction confirmed on Plasma blockchain",
-      details: {
-        success: context.result?.success,
-        transactionHash: txHash,
-        explorerUrl: txHash ? `https://explorer.plasma.to/tx/${txHash}` : null,
-        network: context.requirements?.network,
-      },
-      actor: "blockchain",
-      target: "facilitator",
-    });
-  })
-  .onSettleFailure(async (context) => {
-    console.log("Settle failure:", context.error);
-    pushEvent({
-      type: "settle_failed",
-      step: 10,
-      title: "Settlement Failed",
-      description: `On-chain settlement failed: ${context.error?.message}`,
-      details: { error: context.error?.message },
-      actor: "facilitator",
-      isError: true,
-    });
+let registry;
+let auth;
+let webhooks;
+try {
+  registry = createChainRegistry({
+    chainsPath: process.env.CHAINS_PATH,
+    networks: process.env.NETWORKS,
+    rpcUrl: process.env.RPC_URL,
   });
+  auth = API_KEYS_PATH && createApiKeyAuth({ keysPath: API_KEYS_PATH });
+  webhooks =
+    CALLBACK_ALLOWLIST && WEBHOOK_SECRET
+      ? createWebhookSender({ allowlist: CALLBACK_ALLOWLIST, secret: WEBHOOK_SECRET })
+      : null;
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
-registerExactEvmScheme(facilitator, {
-  signer: evmSigner,
-  networks: PLASMA_NETWORK,
-});
-
-const app = express();
-app.use(express.json());
-
-app.post("/verify", async (req, res) => {
-  const callbackUrl = req.headers["x-event-callback"];
-  try {
-    const { paymentPayload, paymentRequirements } = req.body;
-    if (!paymentPayload || !paymentRequirements) {
-      return res.status(400).json({ error: "Missing paymentPayload or paymentRequirements" });
-    }
-    const response = await callbackStore.run(callbackUrl, () =>
-      facilitator.verify(paymentPayload, paymentRequirements)
-    );
-    res.json(response);
-  } catch (error) {
-    console.error("Verify error:", error);
-    res.status(500).json({ error: error instanceof Error ? error.message : "Unknown error" });
-  }
-});
-
-app.post("/settle", async (req, res) => {
-  const callbackUrl = req.headers["x-event-callback"];
-  try {
-    const { paymentPayload, paymentRequirements } = req.body;
-    if (!paymentPayload || !paymentRequirements) {
-      return res.status(400).json({ error: "Missing paymentPayload or paymentRequirements" });
-    }
-    const response = await callbackStore.run(callbackUrl, () =>
-      facilitator.settle(paymentPayload, paymentRequirements)
-    );
-    res.json(response);
-  } catch (error) {
-    console.error("Settle error:", error);
-    if (error instanceof Error && error.message.includes("Settlement aborted:")) {
-      return res.json({
-        success: false,
-        errorReason: error.message.replace("Settlement aborted: ", ""),
-        network: req.body?.paymentPayload?.network || "unknown",
-      });
-    }
-    res.status(500).json({ error: error instanceof Error ? error.message : "Unknown error" });
+// A pool of FACILITATOR_SIGNERS derived accounts per network, each connected to
+// that chain's RPC and settling through its own transaction manager. With
+// SETTLEMENT_BATCH_WINDOW_MS set, settlements are batched in front of the pool.
+const signerPools = Object.fromEntries(
+  await Promise.all(
+    registry.networks.map(async (network) => [
+      network,
+      await createDerivedSignerPool(MNEMONIC, {
+        size: Number(SIGNERS),
+        rpcUrl: registry.rpcUrl(network),
+        ...(MIN_GAS_BALANCE && { minGasBalance: MIN_GAS_BALANCE }),
+        transactions: {
+          ...(TX_STUCK_AFTER_SECONDS && { stuckAfterMs: Number(TX_STUCK_AFTER_SECONDS) * 1000 }),
+          ...(TX_MAX_GAS_BUMPS && { maxBumps: Number(TX_MAX_GAS_BUMPS) }),
+        },
+      }),
+    ])
+  )
+);
+
+// Lifecycle events are logged and, when webhooks are configured, delivered
+// signed to the X-Event-Callback URL the resource server sent with the /verify
+// or /settle request being handled. URLs outside the allowlist are never called.
+const rejectedCallbacks = new Set();
+
+function pushEvent(type, event) {
+  console.log(`${event.title}:`, event.details?.transactionHash || event.details?.network || "");
+  const callbackUrl = currentEventCallback();
+  if (!callbackUrl || !webhooks) return;
+  if (!webhooks.send(callbackUrl, { type, ...event }) && !rejectedCallbacks.has(callbackUrl)) {
+    rejectedCallbacks.add(callbackUrl);
+    console.warn(`Ignoring X-Event-Callback ${callbackUrl}: not in EVENT_CALLBACK_ALLOWLIST`);
   }
-});
+}
 
-app.get("/supported", async (req, res) => {
-  try {
-    const response = facilitator.getSupported();
-    res.json(response);
-  } catch (error) {
-    console.error("Supported error:", error);
-    res.status(500).json({ error: error instanceof Error ? error.message : "Unknown error" });
-  }
-});
+const signers = Object.fromEntries(
+  registry.networks.map((network) => [
+    network,
+    BATCH_WINDOW_MS
+      ? createBatchingSigner(signerPools[network], {
+          multicallAddress: registry.multicallAddress(network),
+          windowMs: Number(BATCH_WINDOW_MS),
+          ...(BATCH_SIZE && { maxBatchSize: Number(BATCH_SIZE) }),
+        })
+      : signerPools[network],
+  ])
+);
 
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    chain: "plasma",
-    chainId: 9745,
-    facilitator: walletAccount.address,
-  });
-});
+const app = express();
+app.use(
+  createFacilitatorRouter({
+    signer: signers,
+    hooks: createLifecycleHooks({ registry, emit: pushEvent, settlementMode: currentSettlementMode }),
+    registry,
+    auth,
+    settlementStore: createSettlementStore({ path: SETTLEMENT_STORE_PATH }),
+    confirmations: { emit: pushEvent },
+  })
+);
 
 app.listen(parseInt(PORT), () => {
   console.log(`x402 facilitator running on http://localhost:${PORT}`);
-  console.log(`Network: ${PLASMA_NETWORK}`);
-  console.log(`USDT0: ${USDT0_ADDRESS}`);
-  console.log(`Account: ${walletAccount.address}`);
+  if (!auth) {
+    console.warn("FACILITATOR_AUTH=off: /verify and /settle are open to anyone who can reach this port");
+  }
+  if (!webhooks) {
+    console.warn("EVENT_CALLBACK_ALLOWLIST and EVENT_WEBHOOK_SECRET are not both set: lifecycle events will not be pushed");
+  }
+  if (BATCH_WINDOW_MS) {
+    console.log(`Batching settlements every ${BATCH_WINDOW_MS}ms`);
+  }
+  for (const network of registry.networks) {
+    console.log(`${registry.describe(network)}: ${signerPools[network].getAddresses().join(", ")}`);
+  }
 });
@@ -0,0 +1,227 @@
+import assert from "node:assert";
+import { createHash } from "node:crypto";
+import express from "express";
+import { DEFAULT_NETWORK } from "./config.js";
+
+// Scriptable stand-in for a facilitator, for testing code built on the
+// verify-first middleware against outcomes the real facilitator only produces
+// with real funds: invalid signatures, insufficient balance, failed settlements,
+// an unreachable facilitator. It has the facilitator client interface (verify,
+// settle, getSupported), so it can be passed to createX402Server({ facilitator })
+// in-process, and router() serves the same /verify, /settle and /supported
+// contract as x402/facilitator.js over HTTP.
+//
+// Every call is answered by the first matching rule added with onVerify or
+// onSettle, else verified or settled successfully. A rule matches calls from one
+// payer, calls its `when` predicate accepts, or all calls; with `times` it is used
+// up after that many calls. An outcome is a FAKE_OUTCOMES name, a response object
+// (merged over the successful response), { error, status } to fail the request
+// itself, or a function of the call returning one of these; delayMs delays the
+// answer. Every call is recorded with its response for assertCalled.
+
+export const FAKE_OUTCOMES = {
+  valid: { isValid: true },
+  invalidSignature: { isValid: false, invalidReason: "invalid_exact_evm_payload_signature" },
+  insufficientFunds: { isValid: false, invalidReason: "insufficient_funds" },
+  expired: { isValid: false, invalidReason: "invalid_exact_evm_payload_authorization_valid_before" },
+  recipientMismatch: { isValid: false, invalidReason: "invalid_exact_evm_payload_recipient_mismatch" },
+  settled: { success: true },
+  settlementFailed: { success: false, errorReason: "transaction_failed" },
+  unavailable: { error: "Facilitator unavailable", status: 503 },
+};
+
+const FAKE_FACILITATOR_ADDRESS = "0x000000000000000000000000000000000000fac1";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function describeCall({ type, payer, network, amount }) {
+  return `${type} from ${payer || "unknown payer"} on ${network} for ${amount}`;
+}
+
+export function createFakeFacilitator({ networks = [DEFAULT_NETWORK] } = {}) {
+  const rules = { verify: [], settle: [] };
+  const calls = [];
+
+  function addRule(type, outcome, { payer, when, times } = {}) {
+    if (typeof outcome === "string" && !FAKE_OUTCOMES[outcome]) throw new Error(`Unknown fake outcome "${outcome}"`);
+    rules[type].push({ outcome, payer: payer?.toLowerCase(), when, remaining: times ?? Infinity });
+  }
+
+  function matches(filter = {}) {
+    return (call) =>
+      (!filter.payer || call.payer?.toLowerCase() === filter.payer.toLowerCase()) &&
+      (!filter.network || call.network === filter.network) &&
+      (!filter.payTo || call.payTo?.toLowerCase() === filter.payTo.toLowerCase()) &&
+      (!filter.nonce || call.nonce === filter.nonce);
+  }
+
+  function successResponse(type, call) {
+    if (type === "verify") return { isValid: true, payer: call.payer };
+    const transaction = `0x${createHash("sha256").update(`${call.network}:${call.payer}:${call.nonce}`).digest("hex")}`;
+    return { success: true, transaction, network: call.network, payer: call.payer };
+  }
+
+  async function answer(type, paymentPayload, requirements) {
+    const authorization = paymentPayload?.payload?.authorization;
+    const call = {
+      type,
+      payer: authorization?.from,
+      network: requirements?.network,
+      payTo: requirements?.payTo,
+      amount: requirements?.amount,
+      nonce: authorization?.nonce,
+      paymentPayload,
+      requirements,
+      at: Date.now(),
+    };
+    calls.push(call);
+
+    const rule = rules[type].find(
+      (candidate) =>
+        candidate.remaining > 0 &&
+        (!candidate.payer || candidate.payer === call.payer?.toLowerCase()) &&
+        (!candidate.when || candidate.when(call))
+    );
+    if (rule) rule.remaining -= 1;
+
+    let outcome = rule ? rule.outcome : {};
+    if (typeof outcome === "function") outcome = await outcome(call);
+    if (typeof outcome === "string") outcome = FAKE_OUTCOMES[outcome];
+    const { delayMs, error, status, ...fields } = outcome || {};
+    if (delayMs) await sleep(delayMs);
+
+    if (error) {
+      call.error = error;
+      throw Object.assign(new Error(error), { status: status || 500 });
+    }
+    const response = { ...successResponse(type, call), ...fields };
+    if (type === "settle" && response.success === false) response.transaction = "";
+    call.response = response;
+    return response;
+  }
+
+  const fake = {
+    verify: (paymentPayload, requirements) => answer("verify", paymentPayload, requirements),
+    settle: (paymentPayload, requirements) => answer("settle", paymentPayload, requirements),
+
+    getSupported() {
+      return {
+        kinds: networks.map((network) => ({ x402Version: 2, scheme: "exact", network })),
+        extensions: [],
+        signers: { "eip155:*": [FAKE_FACILITATOR_ADDRESS] },
+      };
+    },
+
+    onVerify(outcome, match) {
+      addRule("verify", outcome, match);
+      return fake;
+    },
+
+    onSettle(outcome, match) {
+      addRule("settle", outcome, match);
+      return fake;
+    },
+
+    // Recorded calls, oldest first, optionally only those of one type ("verify"
+    // or "settle") matching a { payer, network, payTo, nonce } filter.
+    calls(type, filter) {
+      return calls.filter((call) => (!type || call.type === type) && matches(filter)(call));
+    },
+
+    // Throws an AssertionError unless `type` was called (exactly `times` times,
+    // when given) for calls matching the filter.
+    assertCalled(type, { times, ...filter } = {}) {
+      const count = fake.calls(type, filter).length;
+      const ok = times === undefined ? count > 0 : count === times;
+      if (!ok) {
+        const seen = calls.map(describeCall).join("\n  ") || "none";
+        throw new assert.AssertionError({
+          message: `Expected ${type} to be called ${times ?? "at least once"} time(s) for ${JSON.stringify(filter)}, got ${count}. Calls:\n  ${seen}`,
+          actual: count,
+          expected: times ?? ">= 1",
+          operator: "assertCalled",
+        });
+      }
+    },
+
+    assertNotCalled(type, filter) {
+      fake.assertCalled(type, { ...filter, times: 0 });
+    },
+
+    // Forgets every rule and recorded call.
+    reset() {
+      rules.verify = [];
+      rules.settle = [];
+      calls.length = 0;
+    },
+
+    // Express router with the facilitator endpoints, plus control endpoints for
+    // tests in another process: POST /fake/verify and /fake/settle take
+    // { outcome, payer?, times? } (outcome as a FAKE_OUTCOMES name or a response
+    // object), GET /fake/calls?type=&payer= lists calls, DELETE /fake resets.
+    router() {
+      const router = express.Router();
+      router.use(express.json());
+
+      for (const type of ["verify", "settle"]) {
+        router.post(`/${type}`, async (req, res) => {
+          const { paymentPayload, paymentRequirements } = req.body;
+          if (!paymentPayload || !paymentRequirements) {
+            return res.status(400).json({ error: "Missing paymentPayload or paymentRequirements" });
+          }
+          try {
+            res.json(await fake[type](paymentPayload, paymentRequirements));
+          } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+          }
+        });
+
+        router.post(`/fake/${type}`, (req, res) => {
+          const { outcome, payer, times } = req.body || {};
+          try {
+            addRule(type, outcome ?? {}, { payer, times });
+            res.status(201).json({ ok: true });
+          } catch (error) {
+            res.status(400).json({ error: error.message });
+          }
+        });
+      }
+
+      router.get("/supported", (req, res) => res.json(fake.getSupported()));
+
+      router.get("/fake/calls", (req, res) => {
+        const { type, ...filter } = req.query;
+        res.json({
+          calls: fake.calls(type, filter).map(({ paymentPayload, requirements, ...call }) => call),
+        });
+      });
+
+      router.delete("/fake", (req, res) => {
+        fake.reset();
+        res.json({ ok: true });
+      });
+
+      return router;
+    },
+
+    // Serves router() on `port` (default: any free port). Resolves with the URL to
+    // use as FACILITATOR_URL and a close function.
+    listen(port = 0) {
+      const app = express();
+      app.use(fake.router());
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => {
+          resolve({
+            url: `http://localhost:${server.address().port}`,
+            close: () => new Promise((done) => server.close(done)),
+          });
+        });
+        server.on("error", reject);
+      });
+    },
+  };
+
+  return fake;
+}
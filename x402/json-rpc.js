@@ -0,0 +1,15 @@
+// Minimal JSON-RPC client for the chain reads the facilitator makes outside the
+// WDK account (nonces, fees, receipts, block numbers). Throws on RPC errors.
+export function createJsonRpc(url) {
+  let id = 0;
+  return async function rpc(method, params = []) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: ++id, method, params }),
+    });
+    const { result, error } = await response.json();
+    if (error) throw new Error(`${method} failed: ${error.message}`);
+    return result;
+  };
+}
@@ -0,0 +1,105 @@
+// Timeline steps of settlement and of the response for each settlement mode.
+// Settle-first settles before the response is sent, verify-first after it.
+export const SETTLEMENT_STEPS = {
+  "verify-first": { started: 9, completed: 10, response: 8 },
+  "settle-first": { started: 8, completed: 9, response: 10 },
+};
+
+// Facilitator lifecycle hooks that turn verify and settle progress into the
+// timeline events shown by the demo UI. emit(type, event) decides where they go:
+// SSE in the in-process server, the X-Event-Callback URL in facilitator.js.
+// settlementMode() names the mode of the settlement being handled, so settle
+// events carry that mode's steps; without it they use verify-first steps.
+// Register them on an x402Facilitator through createFacilitator({ hooks }).
+export function createLifecycleHooks({ registry, emit, settlementMode = () => "verify-first" }) {
+  const settlementSteps = () => SETTLEMENT_STEPS[settlementMode()] || SETTLEMENT_STEPS["verify-first"];
+  const chainName = (network) =>
+    registry.networks.includes(network) ? registry.getChain(network).name : network;
+
+  return {
+    async onBeforeVerify(context) {
+      emit("verify_started", {
+        step: 6,
+        title: "Payment Verification Started",
+        description: "Facilitator is verifying the payment signature and requirements",
+        details: {
+          network: context.requirements?.network,
+          checks: ["Signature validity", "Signer balance", "Nonce uniqueness", "Valid time window"],
+        },
+        actor: "facilitator",
+      });
+    },
+
+    async onAfterVerify(context) {
+      emit("verify_completed", {
+        step: 7,
+        title: "Payment Verified",
+        description: context.result?.isValid
+          ? "Payment signature and requirements verified successfully"
+          : "Payment verification failed",
+        details: {
+          isValid: context.result?.isValid,
+          network: context.requirements?.network,
+        },
+        actor: "facilitator",
+      });
+    },
+
+    async onVerifyFailure(context) {
+      emit("verify_failed", {
+        step: 7,
+        title: "Verification Failed",
+        description: `Payment verification failed: ${context.error?.message}`,
+        details: { error: context.error?.message },
+        actor: "facilitator",
+        isError: true,
+      });
+    },
+
+    async onBeforeSettle(context) {
+      const network = context.requirements?.network;
+      emit("settle_started", {
+        step: settlementSteps().started,
+        title: "On-Chain Settlement Started",
+        description: `Broadcasting receiveWithAuthorization transaction to ${chainName(network)} blockchain`,
+        details: {
+          contract: registry.describeToken(network, context.requirements?.asset),
+          method: "receiveWithAuthorization",
+          chain: registry.describe(network),
+          network,
+        },
+        actor: "facilitator",
+        target: "blockchain",
+      });
+    },
+
+    async onAfterSettle(context) {
+      const txHash = context.result?.transaction;
+      const network = context.requirements?.network;
+      emit("settle_completed", {
+        step: settlementSteps().completed,
+        title: "Settlement Confirmed",
+        description: `Payment transaction confirmed on ${chainName(network)} blockchain`,
+        details: {
+          success: context.result?.success,
+          transactionHash: txHash,
+          explorerUrl: registry.explorerTxUrl(network, txHash),
+          network,
+        },
+        actor: "blockchain",
+        target: "facilitator",
+      });
+    },
+
+    async onSettleFailure(context) {
+      emit("settle_failed", {
+        step: settlementSteps().completed,
+        title: "Settlement Failed",
+        description: `On-chain settlement failed: ${context.error?.message}`,
+        details: { error: context.error?.message },
+        actor: "facilitator",
+        isError: true,
+      });
+    },
+  };
+}
@@ -0,0 +1,610 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from "fs";
+import express from "express";
+import {
+  concat,
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeErrorResult,
+  encodeEventTopics,
+  encodeFunctionResult,
+  keccak256,
+  numberToHex,
+  parseTransaction,
+  recoverTransactionAddress,
+  recoverTypedDataAddress,
+  toHex,
+} from "viem";
+
+// Offline stand-in for a chain's JSON-RPC endpoint, so the whole payment flow runs
+// without a live RPC or real funds. It emulates one chain: native balances and
+// nonces, EIP-3009 tokens (balanceOf, transfer, transferWithAuthorization,
+// receiveWithAuthorization, authorizationState) and Multicall3 aggregate3, all in
+// JavaScript rather than an EVM. Every transaction is mined at once in its own
+// block; with blockTimeMs, empty blocks are mined in between as well. Signed
+// transactions and EIP-712 authorizations are checked like on a real chain, so
+// the WDK accounts and the exact scheme use it unchanged through RPC_URL.
+//
+// Besides the eth_* methods those clients call, it answers local_setBalance
+// (native), local_mint (tokens) and evm_mine, which bin/seed-local-chain.js uses.
+
+const BASE_FEE_PER_GAS = 1_000_000_000n;
+const PRIORITY_FEE_PER_GAS = 1_000_000_000n;
+const BLOCK_GAS_LIMIT = 30_000_000n;
+const TRANSFER_GAS = 21_000n;
+const TOKEN_CALL_GAS = 60_000n;
+const MULTICALL_GAS = 30_000n;
+const MAX_RECENT_BLOCKS = 1000;
+
+// Placeholder bytecode so eth_getCode reports the tokens and Multicall3 as
+// contracts; their calls are emulated, never executed.
+const CONTRACT_CODE = "0xfe";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ZERO_HASH = `0x${"00".repeat(32)}`;
+const EMPTY_BLOOM = `0x${"00".repeat(256)}`;
+const EMPTY_UNCLES_HASH = "0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347";
+const TRANSACTION_TYPES = { legacy: "0x0", eip2930: "0x1", eip1559: "0x2" };
+
+const AUTHORIZATION_FIELDS = [
+  { name: "from", type: "address" },
+  { name: "to", type: "address" },
+  { name: "value", type: "uint256" },
+  { name: "validAfter", type: "uint256" },
+  { name: "validBefore", type: "uint256" },
+  { name: "nonce", type: "bytes32" },
+];
+const SIGNATURE_VRS = [
+  { name: "v", type: "uint8" },
+  { name: "r", type: "bytes32" },
+  { name: "s", type: "bytes32" },
+];
+
+function fn(name, inputs, outputs = [], stateMutability = "nonpayable") {
+  return { type: "function", name, stateMutability, inputs, outputs };
+}
+
+function view(name, inputs, type) {
+  return fn(name, inputs, [{ name: "", type }], "view");
+}
+
+const TOKEN_ABI = [
+  view("name", [], "string"),
+  view("symbol", [], "string"),
+  view("decimals", [], "uint8"),
+  view("version", [], "string"),
+  view("totalSupply", [], "uint256"),
+  view("balanceOf", [{ name: "account", type: "address" }], "uint256"),
+  view(
+    "authorizationState",
+    [
+      { name: "authorizer", type: "address" },
+      { name: "nonce", type: "bytes32" },
+    ],
+    "bool"
+  ),
+  fn("transfer", [{ name: "to", type: "address" }, { name: "value", type: "uint256" }], [{ name: "", type: "bool" }]),
+  fn("transferWithAuthorization", [...AUTHORIZATION_FIELDS, ...SIGNATURE_VRS]),
+  fn("transferWithAuthorization", [...AUTHORIZATION_FIELDS, { name: "signature", type: "bytes" }]),
+  fn("receiveWithAuthorization", [...AUTHORIZATION_FIELDS, ...SIGNATURE_VRS]),
+  fn("receiveWithAuthorization", [...AUTHORIZATION_FIELDS, { name: "signature", type: "bytes" }]),
+];
+
+const TOKEN_EVENTS = [
+  {
+    type: "event",
+    name: "Transfer",
+    inputs: [
+      { name: "from", type: "address", indexed: true },
+      { name: "to", type: "address", indexed: true },
+      { name: "value", type: "uint256", indexed: false },
+    ],
+  },
+  {
+    type: "event",
+    name: "AuthorizationUsed",
+    inputs: [
+      { name: "authorizer", type: "address", indexed: true },
+      { name: "nonce", type: "bytes32", indexed: true },
+    ],
+  },
+];
+
+const MULTICALL3_ABI = [
+  fn(
+    "aggregate3",
+    [
+      {
+        name: "calls",
+        type: "tuple[]",
+        components: [
+          { name: "target", type: "address" },
+          { name: "allowFailure", type: "bool" },
+          { name: "callData", type: "bytes" },
+        ],
+      },
+    ],
+    [
+      {
+        name: "returnData",
+        type: "tuple[]",
+        components: [
+          { name: "success", type: "bool" },
+          { name: "returnData", type: "bytes" },
+        ],
+      },
+    ],
+    "payable"
+  ),
+];
+
+const ERROR_ABI = [{ type: "error", name: "Error", inputs: [{ name: "reason", type: "string" }] }];
+
+function rpcError(code, message, data) {
+  return Object.assign(new Error(message), { code, ...(data && { data }) });
+}
+
+// Reverts the call being emulated, like require(false, reason) in the contract.
+function revert(reason) {
+  const data = encodeErrorResult({ abi: ERROR_ABI, errorName: "Error", args: [reason] });
+  throw Object.assign(rpcError(3, `execution reverted: ${reason}`, data), { reverted: true });
+}
+
+function quantity(value) {
+  return toHex(BigInt(value));
+}
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+export function createLocalChain({ chainId, tokens = [], multicallAddress, statePath, blockTimeMs = 0 }) {
+  if (!Number.isInteger(chainId)) throw new Error("The local chain needs a chainId");
+  const tokenConfigs = new Map(tokens.map((token) => [token.address.toLowerCase(), token]));
+  const multicall = multicallAddress?.toLowerCase();
+  let tail = Promise.resolve();
+  let timer = null;
+
+  let state = load();
+  if (!state) {
+    state = { chainId, head: null, accounts: {}, tokens: {}, transactions: {}, blocks: {} };
+    mineBlock([], Math.floor(Date.now() / 1000));
+  }
+
+  function load() {
+    if (!statePath || !existsSync(statePath)) return null;
+    const saved = JSON.parse(readFileSync(statePath, "utf-8"));
+    if (saved.chainId !== chainId) {
+      throw new Error(`${statePath} holds chain ${saved.chainId}, not ${chainId}; remove it to start over`);
+    }
+    return saved;
+  }
+
+  function persist() {
+    if (!statePath) return;
+    const tmpPath = `${statePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    renameSync(tmpPath, statePath);
+  }
+
+  // Requests run one at a time, so a transaction always sees the state left by
+  // the one before it.
+  function serialize(task) {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  // Balances are kept as decimal strings so the state stays plain JSON.
+
+  function accountOf(world, address) {
+    const key = address.toLowerCase();
+    world.accounts[key] ||= { balance: "0", nonce: 0 };
+    return world.accounts[key];
+  }
+
+  function tokenStateOf(world, address) {
+    const key = address.toLowerCase();
+    world.tokens[key] ||= { totalSupply: "0", balances: {}, authorizations: {} };
+    return world.tokens[key];
+  }
+
+  function tokenBalance(tokenState, owner) {
+    return BigInt(tokenState.balances[owner.toLowerCase()] || "0");
+  }
+
+  function moveTokens(tokenState, from, to, value) {
+    const balance = tokenBalance(tokenState, from);
+    if (balance < value) revert("ERC20: transfer amount exceeds balance");
+    tokenState.balances[from.toLowerCase()] = (balance - value).toString();
+    tokenState.balances[to.toLowerCase()] = (tokenBalance(tokenState, to) + value).toString();
+  }
+
+  function moveNative(world, from, to, value) {
+    if (!value) return;
+    const sender = accountOf(world, from);
+    if (BigInt(sender.balance) < value) revert("insufficient balance for transfer");
+    sender.balance = (BigInt(sender.balance) - value).toString();
+    const recipient = accountOf(world, to);
+    recipient.balance = (BigInt(recipient.balance) + value).toString();
+  }
+
+  function tokenLog(token, eventName, args) {
+    return {
+      address: token.address.toLowerCase(),
+      topics: encodeEventTopics({ abi: TOKEN_EVENTS, eventName, args }),
+      data: eventName === "Transfer" ? encodeAbiParameters([{ type: "uint256" }], [args.value]) : "0x",
+    };
+  }
+
+  // Emulated contract calls return { returnData, logs, gas } or revert.
+
+  async function useAuthorization(token, tokenState, functionName, args, caller, timestamp) {
+    const [from, to, value, validAfter, validBefore, nonce] = args;
+    const signature = args.length === 7 ? args[6] : concat([args[7], args[8], numberToHex(args[6], { size: 1 })]);
+    const key = `${from}:${nonce}`.toLowerCase();
+
+    if (functionName === "receiveWithAuthorization" && caller.toLowerCase() !== to.toLowerCase()) {
+      revert("FiatTokenV2: caller must be the payee");
+    }
+    if (BigInt(timestamp) <= validAfter) revert("FiatTokenV2: authorization is not yet valid");
+    if (BigInt(timestamp) >= validBefore) revert("FiatTokenV2: authorization is expired");
+    if (tokenState.authorizations[key]) revert("FiatTokenV2: authorization is used or canceled");
+
+    const signer = await recoverTypedDataAddress({
+      domain: { name: token.name, version: token.version, chainId, verifyingContract: token.address },
+      types: {
+        [functionName === "receiveWithAuthorization" ? "ReceiveWithAuthorization" : "TransferWithAuthorization"]:
+          AUTHORIZATION_FIELDS,
+      },
+      primaryType: functionName === "receiveWithAuthorization" ? "ReceiveWithAuthorization" : "TransferWithAuthorization",
+      message: { from, to, value, validAfter, validBefore, nonce },
+      signature,
+    }).catch(() => null);
+    if (signer?.toLowerCase() !== from.toLowerCase()) revert("FiatTokenV2: invalid signature");
+
+    moveTokens(tokenState, from, to, value);
+    tokenState.authorizations[key] = true;
+    return {
+      returnData: "0x",
+      logs: [tokenLog(token, "AuthorizationUsed", { authorizer: from, nonce }), tokenLog(token, "Transfer", { from, to, value })],
+      gas: TOKEN_CALL_GAS,
+    };
+  }
+
+  async function callToken(world, token, { from, data, timestamp }) {
+    let decoded;
+    try {
+      decoded = decodeFunctionData({ abi: TOKEN_ABI, data });
+    } catch {
+      revert("function not supported by the local token");
+    }
+    const { functionName, args = [] } = decoded;
+    const tokenState = tokenStateOf(world, token.address);
+    const result = (value) => ({
+      returnData: encodeFunctionResult({ abi: TOKEN_ABI, functionName, result: value }),
+      logs: [],
+      gas: TOKEN_CALL_GAS,
+    });
+
+    switch (functionName) {
+      case "name":
+        return result(token.name);
+      case "symbol":
+        return result(token.symbol || token.name);
+      case "decimals":
+        return result(token.decimals);
+      case "version":
+        return result(token.version);
+      case "totalSupply":
+        return result(BigInt(tokenState.totalSupply));
+      case "balanceOf":
+        return result(tokenBalance(tokenState, args[0]));
+      case "authorizationState":
+        return result(Boolean(tokenState.authorizations[`${args[0]}:${args[1]}`.toLowerCase()]));
+      case "transfer":
+        moveTokens(tokenState, from, args[0], args[1]);
+        return { ...result(true), logs: [tokenLog(token, "Transfer", { from, to: args[0], value: args[1] })] };
+      default:
+        return useAuthorization(token, tokenState, functionName, args, from, timestamp);
+    }
+  }
+
+  async function callMulticall(world, { data, timestamp }) {
+    let decoded;
+    try {
+      decoded = decodeFunctionData({ abi: MULTICALL3_ABI, data });
+    } catch {
+      revert("function not supported by the local Multicall3");
+    }
+    const results = [];
+    const logs = [];
+    let gas = MULTICALL_GAS;
+    for (const { target, allowFailure, callData } of decoded.args[0]) {
+      const attempt = structuredClone(world);
+      try {
+        const outcome = await execute(attempt, { from: multicall, to: target, data: callData, value: 0n, timestamp });
+        Object.assign(world, attempt);
+        results.push({ success: true, returnData: outcome.returnData });
+        logs.push(...outcome.logs);
+        gas += outcome.gas;
+      } catch (err) {
+        if (!err.reverted) throw err;
+        if (!allowFailure) revert("Multicall3: call failed");
+        results.push({ success: false, returnData: err.data });
+        gas += TRANSFER_GAS;
+      }
+    }
+    return {
+      returnData: encodeFunctionResult({ abi: MULTICALL3_ABI, functionName: "aggregate3", result: results }),
+      logs,
+      gas,
+    };
+  }
+
+  async function execute(world, call) {
+    const to = call.to?.toLowerCase();
+    if (!to) revert("contract deployment is not supported");
+    moveNative(world, call.from, to, call.value);
+    if (tokenConfigs.has(to)) return callToken(world, tokenConfigs.get(to), call);
+    if (to === multicall) return callMulticall(world, call);
+    return { returnData: "0x", logs: [], gas: TRANSFER_GAS };
+  }
+
+  // Runs a call against a copy of the state, for eth_call and eth_estimateGas.
+  function simulate(request) {
+    const world = structuredClone({ accounts: state.accounts, tokens: state.tokens });
+    return execute(world, {
+      from: request.from || ZERO_ADDRESS,
+      to: request.to,
+      data: request.data || request.input || "0x",
+      value: BigInt(request.value || 0),
+      timestamp: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  function mineBlock(hashes, timestamp = Math.max(Math.floor(Date.now() / 1000), state.head.timestamp + 1)) {
+    const number = state.head ? state.head.number + 1 : 0;
+    const parentHash = state.head?.hash || ZERO_HASH;
+    const hash = keccak256(
+      encodeAbiParameters([{ type: "uint256" }, { type: "uint256" }, { type: "bytes32" }], [
+        BigInt(number),
+        BigInt(timestamp),
+        parentHash,
+      ])
+    );
+    const gasUsed = hashes.reduce((sum, txHash) => sum + BigInt(state.transactions[txHash].receipt.gasUsed), 0n);
+    state.blocks[number] = {
+      number: quantity(number),
+      hash,
+      parentHash,
+      nonce: "0x0000000000000000",
+      sha3Uncles: EMPTY_UNCLES_HASH,
+      logsBloom: EMPTY_BLOOM,
+      transactionsRoot: ZERO_HASH,
+      stateRoot: ZERO_HASH,
+      receiptsRoot: ZERO_HASH,
+      miner: ZERO_ADDRESS,
+      difficulty: "0x0",
+      totalDifficulty: "0x0",
+      extraData: "0x",
+      size: "0x0",
+      gasLimit: quantity(BLOCK_GAS_LIMIT),
+      gasUsed: quantity(gasUsed),
+      timestamp: quantity(timestamp),
+      baseFeePerGas: quantity(BASE_FEE_PER_GAS),
+      mixHash: ZERO_HASH,
+      uncles: [],
+      transactions: hashes,
+    };
+    delete state.blocks[number - MAX_RECENT_BLOCKS];
+    state.head = { number, hash, timestamp };
+    return state.blocks[number];
+  }
+
+  function blockNumberOf(tag) {
+    if (tag === undefined || ["latest", "pending", "safe", "finalized"].includes(tag)) return state.head.number;
+    if (tag === "earliest") return 0;
+    return Number(tag);
+  }
+
+  async function sendRawTransaction(raw) {
+    const tx = parseTransaction(raw);
+    if (tx.chainId !== undefined && tx.chainId !== chainId) throw rpcError(-32000, "invalid chain id for signer");
+    const from = (await recoverTransactionAddress({ serializedTransaction: raw })).toLowerCase();
+    const hash = keccak256(raw);
+    if (state.transactions[hash]) throw rpcError(-32000, "already known");
+
+    const sender = accountOf(state, from);
+    if (tx.nonce < sender.nonce) throw rpcError(-32000, `nonce too low: next nonce ${sender.nonce}, tx nonce ${tx.nonce}`);
+    if (tx.nonce > sender.nonce) throw rpcError(-32000, `nonce too high: next nonce ${sender.nonce}, tx nonce ${tx.nonce}`);
+
+    const maxPrice = tx.type === "eip1559" ? tx.maxFeePerGas : tx.gasPrice;
+    if (maxPrice < BASE_FEE_PER_GAS) throw rpcError(-32000, "max fee per gas less than block base fee");
+    const price = tx.type === "eip1559" ? min(maxPrice, BASE_FEE_PER_GAS + tx.maxPriorityFeePerGas) : maxPrice;
+    const value = tx.value || 0n;
+    if (BigInt(sender.balance) < tx.gas * maxPrice + value) {
+      throw rpcError(-32000, "insufficient funds for gas * price + value");
+    }
+
+    const timestamp = Math.max(Math.floor(Date.now() / 1000), state.head.timestamp + 1);
+    const world = structuredClone({ accounts: state.accounts, tokens: state.tokens });
+    let outcome = null;
+    try {
+      outcome = await execute(world, { from, to: tx.to, data: tx.data || "0x", value, timestamp });
+      if (outcome.gas > tx.gas) revert("out of gas");
+      Object.assign(state, world);
+    } catch (err) {
+      if (!err.reverted) throw err;
+      outcome = null;
+    }
+
+    const gasUsed = outcome ? outcome.gas : min(tx.gas, TRANSFER_GAS);
+    const payer = accountOf(state, from);
+    payer.nonce += 1;
+    payer.balance = (BigInt(payer.balance) - gasUsed * price).toString();
+
+    const number = state.head.number + 1;
+    const logs = outcome?.logs || [];
+    state.transactions[hash] = {
+      transaction: {
+        hash,
+        from,
+        to: tx.to?.toLowerCase() || null,
+        nonce: quantity(tx.nonce),
+        gas: quantity(tx.gas),
+        gasPrice: quantity(price),
+        ...(tx.type === "eip1559" && {
+          maxFeePerGas: quantity(tx.maxFeePerGas),
+          maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+        }),
+        value: quantity(value),
+        input: tx.data || "0x",
+        type: TRANSACTION_TYPES[tx.type] || "0x0",
+        chainId: quantity(chainId),
+        accessList: tx.accessList || [],
+        v: quantity(tx.v ?? tx.yParity),
+        ...(tx.yParity !== undefined && { yParity: quantity(tx.yParity) }),
+        r: tx.r,
+        s: tx.s,
+        transactionIndex: "0x0",
+      },
+      receipt: {
+        transactionHash: hash,
+        transactionIndex: "0x0",
+        from,
+        to: tx.to?.toLowerCase() || null,
+        cumulativeGasUsed: quantity(gasUsed),
+        gasUsed: quantity(gasUsed),
+        effectiveGasPrice: quantity(price),
+        contractAddress: null,
+        logsBloom: EMPTY_BLOOM,
+        status: outcome ? "0x1" : "0x0",
+        type: TRANSACTION_TYPES[tx.type] || "0x0",
+        logs: logs.map((log, index) => ({
+          ...log,
+          transactionHash: hash,
+          transactionIndex: "0x0",
+          logIndex: quantity(index),
+          removed: false,
+        })),
+      },
+    };
+
+    const block = mineBlock([hash], timestamp);
+    const placed = { blockHash: block.hash, blockNumber: quantity(number) };
+    const entry = state.transactions[hash];
+    Object.assign(entry.transaction, placed);
+    Object.assign(entry.receipt, placed);
+    entry.receipt.logs.forEach((log) => Object.assign(log, placed));
+    persist();
+    return hash;
+  }
+
+  function matchesTopics(log, topics = []) {
+    return topics.every((wanted, index) => {
+      if (wanted === null || wanted === undefined) return true;
+      const options = [].concat(wanted).map((topic) => topic.toLowerCase());
+      return options.includes(log.topics[index]?.toLowerCase());
+    });
+  }
+
+  function getLogs({ address, topics, fromBlock, toBlock, blockHash }) {
+    const addresses = address && [].concat(address).map((entry) => entry.toLowerCase());
+    const from = blockNumberOf(fromBlock ?? "latest");
+    const to = blockNumberOf(toBlock ?? "latest");
+    return Object.values(state.transactions)
+      .flatMap(({ receipt }) => receipt.logs)
+      .filter((log) => {
+        const number = Number(log.blockNumber);
+        if (blockHash ? log.blockHash !== blockHash : number < from || number > to) return false;
+        if (addresses && !addresses.includes(log.address)) return false;
+        return matchesTopics(log, topics);
+      });
+  }
+
+  function formatBlock(block, full) {
+    if (!block) return null;
+    return full ? { ...block, transactions: block.transactions.map((hash) => state.transactions[hash].transaction) } : block;
+  }
+
+  const methods = {
+    web3_clientVersion: () => "x402-local-chain",
+    net_version: () => String(chainId),
+    eth_chainId: () => quantity(chainId),
+    eth_syncing: () => false,
+    eth_accounts: () => [],
+    eth_blockNumber: () => quantity(state.head.number),
+    eth_gasPrice: () => quantity(BASE_FEE_PER_GAS + PRIORITY_FEE_PER_GAS),
+    eth_maxPriorityFeePerGas: () => quantity(PRIORITY_FEE_PER_GAS),
+    eth_getBalance: ([address]) => quantity(state.accounts[address.toLowerCase()]?.balance || 0),
+    eth_getTransactionCount: ([address]) => quantity(state.accounts[address.toLowerCase()]?.nonce || 0),
+    eth_getCode: ([address]) =>
+      tokenConfigs.has(address.toLowerCase()) || address.toLowerCase() === multicall ? CONTRACT_CODE : "0x",
+    eth_call: async ([request]) => (await simulate(request)).returnData,
+    eth_estimateGas: async ([request]) => quantity((await simulate(request)).gas),
+    eth_sendRawTransaction: ([raw]) => sendRawTransaction(raw),
+    eth_getTransactionByHash: ([hash]) => state.transactions[hash?.toLowerCase()]?.transaction || null,
+    eth_getTransactionReceipt: ([hash]) => state.transactions[hash?.toLowerCase()]?.receipt || null,
+    eth_getBlockByNumber: ([tag, full]) => formatBlock(state.blocks[blockNumberOf(tag)], full),
+    eth_getBlockByHash: ([hash, full]) =>
+      formatBlock(Object.values(state.blocks).find((block) => block.hash === hash?.toLowerCase()), full),
+    eth_getLogs: ([filter]) => getLogs(filter || {}),
+
+    local_setBalance([address, amount]) {
+      accountOf(state, address).balance = BigInt(amount).toString();
+      persist();
+      return true;
+    },
+    local_mint([tokenAddress, to, amount]) {
+      if (!tokenConfigs.has(tokenAddress?.toLowerCase())) throw rpcError(-32602, `Unknown token ${tokenAddress}`);
+      const tokenState = tokenStateOf(state, tokenAddress);
+      const value = BigInt(amount);
+      tokenState.balances[to.toLowerCase()] = (tokenBalance(tokenState, to) + value).toString();
+      tokenState.totalSupply = (BigInt(tokenState.totalSupply) + value).toString();
+      persist();
+      return true;
+    },
+    evm_mine() {
+      mineBlock([]);
+      return "0x0";
+    },
+  };
+
+  if (blockTimeMs > 0) {
+    timer = setInterval(() => serialize(() => mineBlock([])), blockTimeMs);
+    timer.unref();
+  }
+
+  return {
+    chainId,
+
+    request(method, params = []) {
+      if (!methods[method]) return Promise.reject(rpcError(-32601, `Method ${method} is not supported by the local chain`));
+      return serialize(() => methods[method](params));
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+// Express router answering JSON-RPC requests (single or batched) on POST /.
+export function createLocalChainRouter(chain) {
+  const router = express.Router();
+
+  async function handle({ id = null, method, params }) {
+    try {
+      return { jsonrpc: "2.0", id, result: await chain.request(method, params) };
+    } catch (err) {
+      const code = Number.isInteger(err.code) ? err.code : -32603;
+      return { jsonrpc: "2.0", id, error: { code, message: err.message, ...(err.data && { data: err.data }) } };
+    }
+  }
+
+  router.post("/", express.json({ limit: "1mb" }), async (req, res) => {
+    res.json(Array.isArray(req.body) ? await Promise.all(req.body.map(handle)) : await handle(req.body));
+  });
+
+  return router;
+}
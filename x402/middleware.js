@@ -1,7 +1,78 @@
 import { ExpressAdapter } from "@x402/express";
+import { createSettlementQueue } from "./settlement-queue.js";
+import { createNonceStore } from "./nonce-store.js";
+import { PRICING_ERROR_CODE } from "./pricing.js";
 
-export function verifyFirstMiddleware(httpServer, initPromiseHolder, { onEvent } = {}) {
+export const SETTLEMENT_MODES = ["verify-first", "settle-first"];
+
+function settlementMode(routeConfig) {
+  const mode = routeConfig?.settlement?.mode || "verify-first";
+  if (!SETTLEMENT_MODES.includes(mode)) {
+    throw new Error(`Unknown settlement mode "${mode}" (expected ${SETTLEMENT_MODES.join(" or ")})`);
+  }
+  return mode;
+}
+
+export const SETTLEMENT_POLICIES = {
+  success: (res) => res.statusCode >= 200 && res.statusCode < 300,
+  always: () => true,
+};
+
+function settlementPolicy(routeConfig) {
+  const policy = routeConfig?.settlement?.policy || "success";
+  if (typeof policy === "function") return policy;
+  if (!SETTLEMENT_POLICIES[policy]) {
+    throw new Error(
+      `Unknown settlement policy "${policy}" (expected ${Object.keys(SETTLEMENT_POLICIES).join(", ")} or a function)`
+    );
+  }
+  return SETTLEMENT_POLICIES[policy];
+}
+
+function shouldSettle(policy, res, req) {
+  try {
+    return !!policy(res, req);
+  } catch (err) {
+    console.error("Settlement policy threw, settling anyway:", err);
+    return true;
+  }
+}
+
+function sendResponse(res, response) {
+  res.status(response.status);
+  Object.entries(response.headers).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+  if (response.isHtml) {
+    res.send(response.body);
+  } else {
+    res.json(response.body || {});
+  }
+}
+
+function paymentRequiredResponse(httpServer, context, paymentRequirements, reason) {
+  const routeConfig = httpServer.getRouteConfig(context.path, context.method);
+  const paymentRequired = httpServer.ResourceServer.createPaymentRequiredResponse(
+    [paymentRequirements],
+    {
+      url: routeConfig?.resource || context.adapter.getUrl(),
+      description: routeConfig?.description || "",
+      mimeType: routeConfig?.mimeType || "",
+    },
+    reason
+  );
+  const response = httpServer.createHTTPResponse(paymentRequired, false);
+  return { ...response, body: { error: reason } };
+}
+
+export function verifyFirstMiddleware(
+  httpServer,
+  initPromiseHolder,
+  { onEvent, settlementQueue, exposure, nonceStore } = {}
+) {
   const emit = onEvent || (() => {});
+  const queue = settlementQueue || createSettlementQueue(httpServer, { onEvent: emit });
+  const nonces = nonceStore || createNonceStore();
 
   return async (req, res, next) => {
     const adapter = new ExpressAdapter(req);
@@ -39,7 +110,25 @@ export function verifyFirstMiddleware(httpServer, initPromiseHolder, { onEvent }
       });
     }
 
-    const result = await httpServer.processHTTPRequest(context);
+    // A pricing function that rejects the request (see x402/pricing.js) is the
+    // client's error, not the server's.
+    let result;
+    try {
+      result = await httpServer.processHTTPRequest(context);
+    } catch (err) {
+      if (err.code !== PRICING_ERROR_CODE) throw err;
+      if (hasPayment) {
+        emit("verify_failed", {
+          step: 7,
+          title: "Verification Failed",
+          description: `Request could not be priced: ${err.message}`,
+          details: { reason: PRICING_ERROR_CODE, error: err.message },
+          actor: "server",
+          isError: true,
+        });
+      }
+      return res.status(400).json({ error: err.message });
+    }
 
     switch (result.type) {
       case "no-payment-required":
@@ -57,21 +146,58 @@ export function verifyFirstMiddleware(httpServer, initPromiseHolder, { onEvent }
           });
         }
 
-        const { response } = result;
-        res.status(response.status);
-        Object.entries(response.headers).forEach(([key, value]) => {
-          res.setHeader(key, value);
-        });
-        if (response.isHtml) {
-          res.send(response.body);
-        } else {
-          res.json(response.body || {});
-        }
-        return;
+        return sendResponse(res, result.response);
       }
 
       case "payment-verified": {
         const { paymentPayload, paymentRequirements } = result;
+        const payer = paymentPayload.payload?.authorization?.from;
+        const { asset, amount } = paymentRequirements;
+
+        const limitExceeded = exposure?.check(payer, asset, amount) || null;
+
+        if (limitExceeded) {
+          emit("exposure_limit_reached", {
+            title: "Unsettled Exposure Limit Reached",
+            description:
+              exposure.overLimit === "reject"
+                ? "Payment rejected until the payer's outstanding settlements land"
+                : "Payment will be settled on-chain before the resource is served",
+            details: { reason: limitExceeded, payer, asset, amount },
+            actor: "server",
+            isError: exposure.overLimit === "reject",
+          });
+
+          if (exposure.overLimit === "reject") {
+            return sendResponse(
+              res,
+              paymentRequiredResponse(httpServer, context, paymentRequirements, limitExceeded)
+            );
+          }
+        }
+
+        // The facilitator only sees the nonce as used once settlement lands, so a
+        // replayed signature would verify again until then. It is claimed only
+        // once the payment is accepted, so a rejected one can be sent again.
+        if (!nonces.claim(paymentPayload, paymentRequirements)) {
+          emit("verify_failed", {
+            step: 7,
+            title: "Payment Replay Rejected",
+            description: "This payment authorization has already been used",
+            details: { reason: "payment_authorization_replayed", payer },
+            actor: "server",
+            isError: true,
+          });
+          return sendResponse(
+            res,
+            paymentRequiredResponse(httpServer, context, paymentRequirements, "payment_authorization_replayed")
+          );
+        }
+
+        const routeConfig = httpServer.getRouteConfig(context.path, context.method);
+        const settleFirst = !!limitExceeded || settlementMode(routeConfig) === "settle-first";
+        const policy = settlementPolicy(routeConfig);
+        const settlementId = queue.enqueue(paymentPayload, paymentRequirements, { settleFirst });
 
         emit("verify_completed", {
           step: 7,
@@ -81,59 +207,42 @@ export function verifyFirstMiddleware(httpServer, initPromiseHolder, { onEvent }
           actor: "facilitator",
         });
 
-        res.on("finish", () => {
-          // --- Settle phase ---
-          emit("settle_started", {
-            step: 9,
-            title: "On-Chain Settlement Started",
-            description: "Broadcasting receiveWithAuthorization transaction to blockchain",
-            details: {
-              method: "receiveWithAuthorization",
-              network: paymentRequirements?.network,
-            },
-            actor: "facilitator",
-            target: "blockchain",
+        // Settle-first routes only run the handler once settlement has landed, and
+        // PAYMENT-RESPONSE carries the real transaction hash.
+        if (settleFirst) {
+          const settleResult = await queue.settleNow(settlementId);
+          if (!settleResult.success) {
+            nonces.release(paymentPayload, paymentRequirements);
+            return sendResponse(
+              res,
+              paymentRequiredResponse(httpServer, context, paymentRequirements, settleResult.errorReason)
+            );
+          }
+          Object.entries(settleResult.headers || {}).forEach(([key, value]) => {
+            res.setHeader(key, value);
           });
+          return next();
+        }
 
-          httpServer
-            .processSettlement(paymentPayload, paymentRequirements)
-            .then((settleResult) => {
-              if (settleResult.success) {
-                emit("settle_completed", {
-                  step: 10,
-                  title: "Settlement Confirmed",
-                  description: "Payment transaction confirmed on blockchain",
-                  details: {
-                    success: true,
-                    transactionHash: settleResult.transaction,
-                    network: paymentRequirements?.network,
-                  },
-                  actor: "blockchain",
-                  target: "facilitator",
-                });
-              } else {
-                emit("settle_failed", {
-                  step: 10,
-                  title: "Settlement Failed",
-                  description: `Settlement failed: ${settleResult.errorReason}`,
-                  details: { error: settleResult.errorReason },
-                  actor: "facilitator",
-                  isError: true,
-                });
-                console.error("Settlement failed:", settleResult.errorReason);
-              }
-            })
-            .catch((err) => {
-              emit("settle_failed", {
-                step: 10,
-                title: "Settlement Failed",
-                description: `Settlement error: ${err.message}`,
-                details: { error: err.message },
-                actor: "facilitator",
-                isError: true,
-              });
-              console.error("Settlement error:", err);
-            });
+        // Journal the verified payment before serving so it survives a crash;
+        // settlement is released to the queue once the response has been sent,
+        // unless the route's policy rejects the response (by default, non-2xx).
+        // A client that disconnects first only triggers "close", with
+        // res.writableFinished still false; the policy decides then instead.
+        let decided = false;
+        const decide = () => {
+          if (decided) return;
+          decided = true;
+          if (shouldSettle(policy, res, req)) {
+            queue.release(settlementId);
+          } else {
+            const outcome = res.writableFinished ? `Response status ${res.statusCode}` : "Aborted response";
+            queue.skip(settlementId, `${outcome} rejected by settlement policy`);
+          }
+        };
+        res.on("finish", decide);
+        res.on("close", () => {
+          if (!res.writableFinished) decide();
         });
 
         return next();
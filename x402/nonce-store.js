@@ -0,0 +1,83 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from "fs";
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+// Remembers EIP-3009 authorizations the server has already accepted, so the same
+// signed payment cannot be replayed for more resources before its settlement
+// consumes the nonce on-chain. Entries are kept until the authorization's
+// validBefore, after which the token contract would reject it anyway. With a
+// path the store is written to disk on every claim, so a restart keeps
+// rejecting authorizations accepted before it.
+
+function nonceKey(paymentPayload, paymentRequirements) {
+  const authorization = paymentPayload?.payload?.authorization;
+  if (!authorization?.from || !authorization?.nonce) return null;
+  return [paymentRequirements.network, paymentRequirements.asset, authorization.from, authorization.nonce]
+    .join(":")
+    .toLowerCase();
+}
+
+export function createNonceStore({ path, defaultTtlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  const entries = new Map();
+
+  function persist() {
+    if (!path) return;
+    const tmpPath = `${path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(entries), null, 2));
+    renameSync(tmpPath, path);
+  }
+
+  function load() {
+    if (!path || !existsSync(path)) return;
+    try {
+      const saved = JSON.parse(readFileSync(path, "utf-8"));
+      Object.entries(saved || {}).forEach(([key, expiresAt]) => entries.set(key, expiresAt));
+    } catch (err) {
+      console.error(`Nonce store at ${path} is unreadable:`, err.message);
+    }
+  }
+
+  function sweep(now) {
+    let removed = 0;
+    for (const [key, expiresAt] of entries) {
+      if (expiresAt <= now) {
+        entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  load();
+  sweep(Date.now());
+
+  return {
+    // Records the authorization and returns true, or returns false if it has
+    // already been claimed and has not yet expired.
+    claim(paymentPayload, paymentRequirements) {
+      const key = nonceKey(paymentPayload, paymentRequirements);
+      if (!key) return true;
+
+      const now = Date.now();
+      sweep(now);
+      if (entries.has(key)) return false;
+
+      const validBefore = Number(paymentPayload.payload.authorization.validBefore);
+      entries.set(key, validBefore > 0 ? validBefore * 1000 : now + defaultTtlSeconds * 1000);
+      persist();
+      return true;
+    },
+
+    // Forgets a claimed authorization that was not used after all, e.g. because
+    // its settlement failed before the resource was served, so it can be retried.
+    release(paymentPayload, paymentRequirements) {
+      const key = nonceKey(paymentPayload, paymentRequirements);
+      if (key && entries.delete(key)) persist();
+    },
+
+    size() {
+      sweep(Date.now());
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,98 @@
+const DEFAULT_QUOTE_TTL_SECONDS = 300;
+const DEFAULT_MAX_QUOTES = 10000;
+
+// Code of the error thrown when a pricing function rejects the request, e.g. an
+// out-of-range query parameter. The middleware answers it with 400.
+export const PRICING_ERROR_CODE = "invalid_pricing_request";
+
+// Pricing functions referenced by name from the routes file ("pricing": "<name>").
+// Each receives the middleware's request context (path, method, adapter) and the
+// route's base price in token base units, and returns the amount to charge.
+export const pricingFunctions = {
+  perForecastDay(context, basePrice) {
+    const days = Number(context.adapter.getQueryParam?.("days") ?? 1);
+    if (!Number.isInteger(days) || days < 1 || days > 7) {
+      throw new Error("days must be an integer between 1 and 7");
+    }
+    return BigInt(basePrice) * BigInt(days);
+  },
+};
+
+function parseDecimal(value) {
+  const [whole, fraction = ""] = String(value).split(".");
+  return { units: BigInt(whole + fraction), scale: 10n ** BigInt(fraction.length) };
+}
+
+// Converts a USD price such as "0.0001" into base units of a token with the given
+// decimals, where usdPrice is what one whole token is worth (1 for stablecoins).
+// Rounds up so no option is priced below the canonical USD price.
+export function usdToUnits(priceUsd, decimals, usdPrice = 1) {
+  const price = parseDecimal(priceUsd);
+  const rate = parseDecimal(usdPrice);
+  const numerator = price.units * rate.scale * 10n ** BigInt(decimals);
+  const denominator = price.scale * rate.units;
+  return ((numerator + denominator - 1n) / denominator).toString();
+}
+
+function toUnits(amount) {
+  const units = BigInt(String(amount));
+  if (units < 0n) throw new Error(`Pricing function returned a negative amount (${amount})`);
+  return units.toString();
+}
+
+function requestKey(context) {
+  const { adapter, method } = context;
+  const body = adapter.getBody?.();
+  return `${method} ${adapter.getUrl()}${body ? ` ${JSON.stringify(body)}` : ""}`;
+}
+
+// Quotes handed out in 402 challenges, oldest first and at most maxQuotes of
+// them. One book can be shared by every quoted price of a server and outlive a
+// routes reload, so a quote issued before the reload still prices its paid retry.
+export function createQuoteBook({ maxQuotes = DEFAULT_MAX_QUOTES } = {}) {
+  const quotes = new Map();
+
+  return {
+    get(key, now) {
+      const quote = quotes.get(key);
+      return quote && quote.expiresAt > now ? quote.amount : undefined;
+    },
+
+    set(key, amount, expiresAt, now) {
+      quotes.delete(key);
+      quotes.set(key, { amount, expiresAt });
+      for (const [oldest, quote] of quotes) {
+        if (quote.expiresAt > now && quotes.size <= maxQuotes) break;
+        quotes.delete(oldest);
+      }
+    },
+  };
+}
+
+// Wraps a pricing function so the amount quoted in a 402 challenge is the amount
+// expected on the paid retry of the same request, even if the function would
+// now return something else. Without this the retry's requirements would no
+// longer match what the client signed and the payment would be rejected. scope
+// tells apart the quotes of different payment options kept in the same book.
+export function createQuotedPrice(
+  pricingFn,
+  basePrice,
+  { ttlSeconds = DEFAULT_QUOTE_TTL_SECONDS, quotes = createQuoteBook(), scope = "" } = {}
+) {
+  return async (context) => {
+    const key = `${scope} ${requestKey(context)}`;
+    const now = Date.now();
+    const quoted = context.paymentHeader ? quotes.get(key, now) : undefined;
+    if (quoted !== undefined) return quoted;
+
+    let price;
+    try {
+      price = await pricingFn(context, basePrice);
+    } catch (err) {
+      throw Object.assign(new Error(err.message), { code: PRICING_ERROR_CODE });
+    }
+    const amount = toUnits(price);
+    quotes.set(key, amount, now + ttlSeconds * 1000, now);
+    return amount;
+  };
+}
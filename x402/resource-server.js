@@ -0,0 +1,342 @@
+import express from "express";
+import cors from "cors";
+import { HTTPFacilitatorClient } from "@x402/core/server";
+import { x402ResourceServer, x402HTTPResourceServer } from "@x402/express";
+import { ExactEvmScheme } from "@x402/evm/exact/server";
+import WalletAccountEvmX402Facilitator from "@semanticpay/wdk-wallet-evm-x402-facilitator";
+import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { createChainRegistry } from "./chains.js";
+import { verifyFirstMiddleware } from "./middleware.js";
+import { createSettlementQueue, settlementMode } from "./settlement-queue.js";
+import { createExposureTracker } from "./exposure.js";
+import { createNonceStore } from "./nonce-store.js";
+import { buildRoutes, createReloadableHTTPServer } from "./routes.js";
+import { pricingFunctions } from "./pricing.js";
+import { registerDemoRoutes } from "./demo-routes.js";
+import { createFacilitator } from "./facilitator-router.js";
+import { createLifecycleHooks } from "./lifecycle-hooks.js";
+import { createConfirmationHooks } from "./confirmation-hooks.js";
+import { verifyWebhookSignature } from "./webhooks.js";
+import { createTransactionManager } from "./transaction-manager.js";
+import { createApiKeyAuth } from "./api-keys.js";
+
+const DEFAULT_ROUTES_PATH = new URL("./routes.json", import.meta.url).pathname;
+const DEFAULT_JOURNAL_PATH = new URL("./settlement-journal.json", import.meta.url).pathname;
+const EVENT_INGEST_PATH = "/facilitator-events";
+const RECENT_EVENT_IDS = 1000;
+
+// Events the facilitator's lifecycle hooks report too. The middleware and the
+// queue emit their own copies, which are not broadcast when the facilitator's
+// own events reach /events; events only the server produces always are.
+const FACILITATOR_EVENT_TYPES = new Set([
+  "verify_started",
+  "verify_completed",
+  "verify_failed",
+  "settle_started",
+  "settle_completed",
+  "settle_failed",
+]);
+
+// Options for createX402Server from the environment variables documented in the
+// README. Throws if the chain registry (CHAINS_PATH, NETWORKS) is invalid.
+export function serverOptionsFromEnv(env = process.env) {
+  return {
+    mnemonic: env.MNEMONIC,
+    payTo: env.PAY_TO_ADDRESS,
+    facilitatorApiKey: env.FACILITATOR_API_KEY,
+    eventCallbackUrl: env.EVENT_CALLBACK_URL,
+    eventWebhookSecret: env.EVENT_WEBHOOK_SECRET,
+    routes: env.ROUTES_PATH || DEFAULT_ROUTES_PATH,
+    registry: createChainRegistry({ chainsPath: env.CHAINS_PATH, networks: env.NETWORKS, rpcUrl: env.RPC_URL }),
+    settlementJournalPath: env.SETTLEMENT_JOURNAL_PATH || DEFAULT_JOURNAL_PATH,
+    nonceStorePath: env.NONCE_STORE_PATH,
+    adminKeysPath: env.ADMIN_API_KEYS_PATH,
+    exposure: {
+      maxAmountPerPayer: env.EXPOSURE_MAX_AMOUNT_PER_PAYER,
+      maxCountPerPayer: env.EXPOSURE_MAX_COUNT_PER_PAYER,
+      maxAmountTotal: env.EXPOSURE_MAX_AMOUNT_TOTAL,
+      maxCountTotal: env.EXPOSURE_MAX_COUNT_TOTAL,
+      overLimit: env.EXPOSURE_OVER_LIMIT,
+    },
+  };
+}
+
+// Headers for the facilitator client: the API key on every call, and the
+// X-Event-Callback URL on /verify and /settle, whose lifecycle events it reports.
+// Computed per call: a settle-first /settle also carries X-Settlement-Mode so
+// the facilitator's settle events get the same timeline steps as the server's.
+function facilitatorHeaders(apiKey, eventCallbackUrl) {
+  const auth = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  if (!eventCallbackUrl) return { verify: auth, settle: auth, supported: auth };
+  const verify = { ...auth, "X-Event-Callback": eventCallbackUrl };
+  return { verify, settle: { ...verify, "X-Settlement-Mode": settlementMode() }, supported: auth };
+}
+
+// One account per network, each connected to that chain's RPC.
+async function createWalletAccounts(mnemonic, networks, registry) {
+  return Object.fromEntries(
+    await Promise.all(
+      networks.map(async (network) => [
+        network,
+        await new WalletManagerEvm(mnemonic, { provider: registry.rpcUrl(network) }).getAccount(),
+      ])
+    )
+  );
+}
+
+// Builds the Express app of an x402 resource server: verify-first payment
+// middleware over the routes, the settlement queue, exposure limits, replay
+// protection and an SSE stream of payment lifecycle events.
+//
+// facilitator is "inprocess" to verify and settle with the wallet's own accounts,
+// a facilitator client object (verify, settle, getSupported) such as
+// createFakeFacilitator() in tests, or the URL of a facilitator service, which is
+// sent facilitatorApiKey (if any) as a bearer token. With eventWebhookSecret set,
+// the server accepts signed lifecycle events from that facilitator on
+// POST /facilitator-events and asks for them by sending eventCallbackUrl (this
+// endpoint's public URL) as X-Event-Callback, so /events shows the same
+// facilitator detail as in-process.
+//
+// routes is a routes file path (hot-reloaded) or a routes map in the same format.
+// onEvent receives every lifecycle event that is broadcast on /events. The admin
+// endpoints (/settlement-queue, /exposure) list payers and can trigger
+// settlements, so they are only registered with adminKeysPath, an API keys file
+// whose keys they require. With demo set, the weather handlers and the /demo/*
+// endpoints driving the HTTP demo are registered too.
+//
+// Paid handlers are added to the returned app by the caller.
+export async function createX402Server({
+  facilitator,
+  facilitatorApiKey,
+  eventCallbackUrl,
+  eventWebhookSecret,
+  routes,
+  onEvent,
+  mnemonic,
+  payTo,
+  registry = createChainRegistry(),
+  pricing = pricingFunctions,
+  settlementJournalPath,
+  nonceStorePath,
+  adminKeysPath,
+  exposure: exposureLimits,
+  demo = false,
+}) {
+  const inProcess = facilitator === "inprocess";
+  const clientObject = typeof facilitator === "object" && facilitator !== null;
+  if (!facilitator) throw new Error('facilitator must be "inprocess", a facilitator URL or a facilitator client');
+  if (!payTo) throw new Error("payTo is required");
+  if (!routes) throw new Error("routes must be a routes file path or a routes map");
+  if (!mnemonic && (inProcess || demo)) {
+    throw new Error("mnemonic is required for the in-process facilitator and the demo client");
+  }
+  const facilitatorEvents = !inProcess && !clientObject && Boolean(eventWebhookSecret && eventCallbackUrl);
+  const adminAuth = adminKeysPath && createApiKeyAuth({ keysPath: adminKeysPath });
+
+  // --- SSE infrastructure ---
+
+  const sseClients = new Set();
+
+  function broadcastEvent(type, data = {}) {
+    const event = { type, timestamp: Date.now(), ...data };
+    const message = `data: ${JSON.stringify(event)}\n\n`;
+    sseClients.forEach((client) => client.write(message));
+    onEvent?.(type, event);
+  }
+
+  // --- Wallets and facilitator ---
+
+  // The default network's account also acts as the demo client.
+  const walletAccounts = mnemonic
+    ? await createWalletAccounts(mnemonic, inProcess ? registry.networks : [registry.defaultNetwork], registry)
+    : {};
+  const walletAccount = walletAccounts[registry.defaultNetwork];
+
+  const inProcessFacilitator =
+    inProcess &&
+    createFacilitator({
+      signer: Object.fromEntries(
+        registry.networks.map((network) => [
+          network,
+          createTransactionManager(new WalletAccountEvmX402Facilitator(walletAccounts[network]), {
+            account: walletAccounts[network],
+            rpcUrl: registry.rpcUrl(network),
+          }),
+        ])
+      ),
+      hooks: [
+        createLifecycleHooks({ registry, emit: broadcastEvent, settlementMode }),
+        createConfirmationHooks({
+          registry,
+          emit: broadcastEvent,
+          settle: (paymentPayload, requirements) => inProcessFacilitator.facilitator.settle(paymentPayload, requirements),
+        }),
+      ],
+    });
+
+  const facilitatorClient = inProcess
+    ? inProcessFacilitator.facilitator
+    : clientObject
+    ? facilitator
+    : new HTTPFacilitatorClient({
+        url: facilitator,
+        createAuthHeaders:
+          (facilitatorApiKey || facilitatorEvents) &&
+          (async () => facilitatorHeaders(facilitatorApiKey, facilitatorEvents && eventCallbackUrl)),
+      });
+
+  const resourceServer = new x402ResourceServer(facilitatorClient);
+  registry.networks.forEach((network) => resourceServer.register(network, new ExactEvmScheme()));
+
+  const routeOptions = { registry, payTo, pricing };
+  const httpServer =
+    typeof routes === "string"
+      ? createReloadableHTTPServer(resourceServer, routes, routeOptions)
+      : new x402HTTPResourceServer(resourceServer, buildRoutes(routes, "routes", routeOptions));
+
+  const initPromiseHolder = { promise: httpServer.initialize() };
+
+  // --- Settlement queue and unsettled exposure limits ---
+
+  const exposure = createExposureTracker(exposureLimits);
+
+  // When the facilitator's lifecycle hooks report verification and settlement
+  // (in-process, or pushed to /facilitator-events), the queue's and middleware's
+  // copies of those events only feed exposure tracking. Server-side events
+  // (settle_queued, settle_skipped, settle_retry_scheduled,
+  // exposure_limit_reached, replay rejections) are broadcast in every mode.
+  function onPaymentEvent(type, data) {
+    exposure.observe(type, data);
+    const duplicate = FACILITATOR_EVENT_TYPES.has(type) && data.actor !== "server";
+    if (!((inProcess || facilitatorEvents) && duplicate)) broadcastEvent(type, data);
+  }
+
+  const settlementQueue = createSettlementQueue(httpServer, {
+    journalPath: settlementJournalPath,
+    onEvent: onPaymentEvent,
+    explorerTxUrl: registry.explorerTxUrl,
+  });
+
+  initPromiseHolder.promise
+    .then(() => settlementQueue.resume())
+    .catch((err) => console.error("Failed to resume settlement journal:", err));
+
+  // --- Express app ---
+
+  const app = express();
+  app.use(cors());
+
+  // Registered ahead of express.json(): the signature covers the raw body.
+  if (facilitatorEvents) {
+    const recentIds = new Set();
+
+    app.post(EVENT_INGEST_PATH, express.text({ type: "application/json" }), (req, res) => {
+      const body = typeof req.body === "string" ? req.body : "";
+      const id = req.headers["x-event-id"];
+      const verified = verifyWebhookSignature({
+        secret: eventWebhookSecret,
+        id,
+        body,
+        timestamp: req.headers["x-event-timestamp"],
+        signature: req.headers["x-event-signature"],
+      });
+      if (!verified) return res.status(401).json({ error: "Invalid event signature" });
+
+      // Retried deliveries keep their signed X-Event-Id; acknowledge them again
+      // but broadcast each event once.
+      if (recentIds.has(id)) return res.json({ received: true });
+      recentIds.add(id);
+      if (recentIds.size > RECENT_EVENT_IDS) recentIds.delete(recentIds.values().next().value);
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch {
+        return res.status(400).json({ error: "Event body is not JSON" });
+      }
+      const { type, timestamp, ...data } = event;
+      if (typeof type !== "string") return res.status(400).json({ error: "Event type is required" });
+
+      broadcastEvent(type, data);
+      res.json({ received: true });
+    });
+  }
+
+  app.use(express.json());
+  app.use(
+    verifyFirstMiddleware(httpServer, initPromiseHolder, {
+      onEvent: onPaymentEvent,
+      settlementQueue,
+      exposure,
+      nonceStore: createNonceStore({ path: nonceStorePath }),
+    })
+  );
+
+  app.get("/events", (req, res) => {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    res.write(`data: ${JSON.stringify({ type: "connected", timestamp: Date.now() })}\n\n`);
+
+    sseClients.add(res);
+
+    req.on("close", () => {
+      sseClients.delete(res);
+    });
+  });
+
+  if (adminAuth) {
+    app.get("/settlement-queue", adminAuth, (req, res) => {
+      res.json(settlementQueue.getBacklog());
+    });
+
+    app.post("/settlement-queue/:id/retry", adminAuth, (req, res) => {
+      if (!settlementQueue.retry(req.params.id)) {
+        return res.status(404).json({ error: "No failed settlement with that id" });
+      }
+      res.json({ success: true });
+    });
+
+    app.get("/exposure", adminAuth, (req, res) => {
+      res.json(exposure.snapshot());
+    });
+  }
+
+  app.get("/health", (req, res) => {
+    res.json({
+      status: "ok",
+      networks: registry.networks.map((network) => ({
+        network,
+        chainId: registry.getChain(network).chainId,
+        name: registry.getChain(network).name,
+        ...(inProcess && { transactions: inProcessFacilitator.signerFor(network).transactionStats() }),
+      })),
+      facilitator: inProcess ? walletAccount.address : clientObject ? "client object" : facilitator,
+      payTo,
+    });
+  });
+
+  if (demo) {
+    registerDemoRoutes(app, {
+      broadcastEvent,
+      connectedClients: () => sseClients.size,
+      walletAccount,
+      registry,
+      httpServer,
+      payTo,
+      facilitatorLabel: inProcess ? "in-process" : clientObject ? "client object" : `external (${facilitator})`,
+    });
+  }
+
+  return {
+    app,
+    httpServer,
+    settlementQueue,
+    exposure,
+    registry,
+    walletAccount,
+    broadcastEvent,
+  };
+}
@@ -0,0 +1,246 @@
+import { readFileSync, watchFile } from "fs";
+import { extname } from "path";
+import YAML from "yaml";
+import { x402HTTPResourceServer } from "@x402/express";
+import { SETTLEMENT_MODES, SETTLEMENT_POLICIES } from "./middleware.js";
+import { createQuoteBook, createQuotedPrice, usdToUnits } from "./pricing.js";
+import { DEFAULT_ASSET } from "./config.js";
+
+const ROUTE_PATTERN = /^((GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|\*)\s+)?\/\S*$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const UNITS_PATTERN = /^\d+$/;
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const ROUTE_KEYS = new Set([
+  "price",
+  "priceUsd",
+  "pricing",
+  "asset",
+  "network",
+  "payTo",
+  "extra",
+  "description",
+  "mimeType",
+  "maxTimeoutSeconds",
+  "settlement",
+]);
+
+function parseRoutesFile(path) {
+  const raw = readFileSync(path, "utf-8");
+  const ext = extname(path).toLowerCase();
+  return ext === ".yaml" || ext === ".yml" ? YAML.parse(raw) : JSON.parse(raw);
+}
+
+// One payment option per network and asset the route accepts, in the order they
+// are listed, so the first one stays the server's preferred option.
+function resolvePayments(route, { registry, asset: defaultAsset }) {
+  const networks = [].concat(route.network ?? registry.defaultNetwork);
+  const assets = [].concat(route.asset ?? defaultAsset);
+  return networks.flatMap((network) =>
+    assets.map((asset) => {
+      const token = registry.findToken(network, asset);
+      return {
+        network,
+        asset: token?.address ?? asset,
+        extra: route.extra ?? (token && { name: token.name, version: token.version, decimals: token.decimals }),
+        usdPrice: token?.usdPrice,
+      };
+    })
+  );
+}
+
+// Amount in base units: "price" as given, or "priceUsd" converted at the token's
+// decimals and USD rate.
+function paymentAmount(route, { extra, usdPrice }) {
+  return route.priceUsd !== undefined
+    ? usdToUnits(route.priceUsd, extra.decimals, usdPrice)
+    : String(route.price);
+}
+
+function validateRoute(pattern, route, options) {
+  const { registry, pricing } = options;
+  const errors = [];
+  const fail = (message) => errors.push(`Route "${pattern}": ${message}`);
+
+  if (!ROUTE_PATTERN.test(pattern)) {
+    fail('pattern must look like "GET /path" or "/path"');
+  }
+  if (!route || typeof route !== "object" || Array.isArray(route)) {
+    fail("must be an object");
+    return errors;
+  }
+
+  Object.keys(route)
+    .filter((key) => !ROUTE_KEYS.has(key))
+    .forEach((key) => fail(`unknown field "${key}"`));
+
+  if ((route.price === undefined) === (route.priceUsd === undefined)) {
+    fail("exactly one of price (token base units) or priceUsd must be set");
+  } else if (route.price !== undefined && !UNITS_PATTERN.test(String(route.price))) {
+    fail('price must be an integer amount of token base units, e.g. "100"');
+  } else if (route.priceUsd !== undefined && !DECIMAL_PATTERN.test(String(route.priceUsd))) {
+    fail('priceUsd must be a decimal USD amount, e.g. "0.0001"');
+  }
+
+  if (route.extra !== undefined && Array.isArray(route.asset) && route.asset.length > 1) {
+    fail("extra can only be given for a single asset; register the other tokens in the chain registry");
+  }
+
+  if (route.pricing !== undefined && typeof pricing[route.pricing] !== "function") {
+    const known = Object.keys(pricing);
+    fail(`pricing "${route.pricing}" is not a registered pricing function (known: ${known.join(", ") || "none"})`);
+  }
+
+  const payments = resolvePayments(route, options);
+  for (const { network, asset, extra } of payments) {
+    if (!registry.networks.includes(network)) {
+      fail(`network "${network}" is not in the chain registry (${registry.networks.join(", ")})`);
+    } else if (!ADDRESS_PATTERN.test(asset || "")) {
+      fail(`asset "${asset}" is neither a 0x address nor a token registered on ${network}`);
+    } else if (!extra || typeof extra.name !== "string" || typeof extra.version !== "string") {
+      fail(`asset ${asset} on ${network} is not in the chain registry, so extra must provide its EIP-712 name and version`);
+    } else if (!Number.isInteger(extra.decimals) || extra.decimals < 0) {
+      fail("extra.decimals must be a non-negative integer");
+    }
+  }
+
+  const decimals = new Set(payments.map(({ extra }) => extra?.decimals));
+  if (route.price !== undefined && decimals.size > 1) {
+    fail("price is in token base units, so assets with different decimals need priceUsd instead");
+  }
+
+  const payTo = route.payTo ?? options.payTo;
+  if (!ADDRESS_PATTERN.test(payTo || "")) fail("payTo must be a 0x address (or set PAY_TO_ADDRESS)");
+
+  for (const key of ["description", "mimeType"]) {
+    if (route[key] !== undefined && typeof route[key] !== "string") fail(`${key} must be a string`);
+  }
+
+  if (
+    route.maxTimeoutSeconds !== undefined &&
+    (!Number.isInteger(route.maxTimeoutSeconds) || route.maxTimeoutSeconds <= 0)
+  ) {
+    fail("maxTimeoutSeconds must be a positive integer");
+  }
+
+  if (route.settlement !== undefined) {
+    const { mode, policy } = route.settlement || {};
+    if (mode !== undefined && !SETTLEMENT_MODES.includes(mode)) {
+      fail(`settlement.mode must be one of ${SETTLEMENT_MODES.join(", ")}`);
+    }
+    // A routes file can only name a policy; routes built in code may also pass a
+    // (res, req) => boolean predicate.
+    const named = Object.keys(SETTLEMENT_POLICIES).join(", ");
+    if (options.fromFile) {
+      if (policy !== undefined && !SETTLEMENT_POLICIES[policy]) fail(`settlement.policy must be one of ${named}`);
+    } else if (policy !== undefined && typeof policy !== "function" && !SETTLEMENT_POLICIES[policy]) {
+      fail(`settlement.policy must be one of ${named}, or a function`);
+    }
+  }
+
+  return errors;
+}
+
+function toRouteConfig(route, options) {
+  const { pricing, quotes } = options;
+
+  return {
+    accepts: resolvePayments(route, options).map((payment) => {
+      const { network, asset, extra } = payment;
+      const amount = paymentAmount(route, payment);
+
+      // With a pricing function, the option's amount is the base price it scales from.
+      const quotedAmount =
+        route.pricing &&
+        createQuotedPrice(pricing[route.pricing], amount, {
+          ttlSeconds: route.maxTimeoutSeconds,
+          quotes,
+          scope: `${network} ${asset}`,
+        });
+
+      return {
+        scheme: "exact",
+        network,
+        price: quotedAmount
+          ? async (context) => ({ amount: await quotedAmount(context), asset, extra })
+          : { amount, asset, extra },
+        payTo: route.payTo ?? options.payTo,
+        ...(route.maxTimeoutSeconds && { maxTimeoutSeconds: route.maxTimeoutSeconds }),
+      };
+    }),
+    description: route.description || "",
+    mimeType: route.mimeType || "",
+    settlement: route.settlement || {},
+  };
+}
+
+function validateAndBuild(routes, source, options) {
+  if (!routes || typeof routes !== "object" || Array.isArray(routes)) {
+    throw new Error(`${source}: expected a "routes" object`);
+  }
+
+  const errors = Object.entries(routes).flatMap(([pattern, route]) =>
+    validateRoute(pattern, route, options)
+  );
+  if (errors.length > 0) {
+    throw new Error(`${source} is invalid:\n  ${errors.join("\n  ")}`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(routes).map(([pattern, route]) => [pattern, toRouteConfig(route, options)])
+  );
+}
+
+// Validates a routes map ("GET /path" -> route) and turns it into the routes
+// config expected by x402HTTPResourceServer, resolving networks and assets through
+// the chain registry. Throws with every validation error at once. Quoted prices
+// keep their quotes in `quotes` (from createQuoteBook), if given.
+export function buildRoutes(routes, source, { registry, payTo, asset = DEFAULT_ASSET, pricing = {}, quotes }) {
+  return validateAndBuild(routes, source, { registry, payTo, asset, pricing, quotes, fromFile: false });
+}
+
+// Reads a JSON or YAML routes file with a top-level "routes" map.
+export function loadRoutesFile(path, { registry, payTo, asset = DEFAULT_ASSET, pricing = {}, quotes }) {
+  return validateAndBuild(parseRoutesFile(path)?.routes, path, {
+    registry,
+    payTo,
+    asset,
+    pricing,
+    quotes,
+    fromFile: true,
+  });
+}
+
+// Builds an x402HTTPResourceServer from the routes file and rebuilds it whenever
+// the file changes. The returned proxy always forwards to the latest server that
+// initialized successfully, so the middleware and settlement queue can hold on to
+// it; an invalid edit is logged and the previous routes stay in effect. Every
+// rebuild shares one quote book, so outstanding quotes survive a reload.
+export function createReloadableHTTPServer(resourceServer, path, { interval = 1000, ...routeOptions }) {
+  const options = { quotes: createQuoteBook(), ...routeOptions };
+  let current = new x402HTTPResourceServer(resourceServer, loadRoutesFile(path, options));
+
+  async function reload() {
+    try {
+      const next = new x402HTTPResourceServer(resourceServer, loadRoutesFile(path, options));
+      await next.initialize();
+      current = next;
+      console.log(`Reloaded ${Object.keys(next.routesConfig).length} route(s) from ${path}`);
+    } catch (err) {
+      console.error(`Keeping previous routes, reload of ${path} failed:`, err.message);
+    }
+  }
+
+  watchFile(path, { interval }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reload();
+  }).unref();
+
+  return new Proxy(
+    {},
+    {
+      get(_, prop) {
+        const value = current[prop];
+        return typeof value === "function" ? value.bind(current) : value;
+      },
+    }
+  );
+}
@@ -0,0 +1,161 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { encodeFunctionData, pad } from "viem";
+
+const DEFAULT_WINDOW_MS = 2000;
+const DEFAULT_MAX_BATCH_SIZE = 20;
+
+const MULTICALL3_ABI = [
+  {
+    type: "function",
+    name: "aggregate3",
+    stateMutability: "payable",
+    inputs: [
+      {
+        name: "calls",
+        type: "tuple[]",
+        components: [
+          { name: "target", type: "address" },
+          { name: "allowFailure", type: "bool" },
+          { name: "callData", type: "bytes" },
+        ],
+      },
+    ],
+    outputs: [
+      {
+        name: "returnData",
+        type: "tuple[]",
+        components: [
+          { name: "success", type: "bool" },
+          { name: "returnData", type: "bytes" },
+        ],
+      },
+    ],
+  },
+];
+
+// keccak256("AuthorizationUsed(address,bytes32)"), emitted by EIP-3009 tokens for
+// every authorization they execute.
+const AUTHORIZATION_USED_TOPIC = "0x98de503528ee59b575ef0c0a2576a82497bfc029a5685b209e9ec333479b10a5";
+
+// Wraps a facilitator signer so transferWithAuthorization calls are collected for
+// windowMs, or until maxBatchSize are waiting, and sent as one Multicall3
+// aggregate3 transaction. Each call is allowed to fail on its own; a payment's
+// result comes from the batch receipt, which holds an AuthorizationUsed log for
+// every authorization the token executed. A window with a single payment is sent
+// as a plain transferWithAuthorization. Every other signer call passes through.
+//
+// The exact scheme awaits writeContract and then calls waitForTransactionReceipt
+// with the hash, which every payment in a batch shares. Each settlement must
+// therefore run inside the signer's runSettlement (createFacilitatorRouter does
+// this): writeContract records the authorization in that call's context, and the
+// receipt lookup reports success only if that authorization was executed. An
+// authorization already waiting for the batch is refused, as both calls would
+// otherwise find its log in the receipt.
+
+const settlementContext = new AsyncLocalStorage();
+
+function authorizationOf(args) {
+  const [from, , , , , nonce] = args.args;
+  return { token: args.address.toLowerCase(), from: pad(from.toLowerCase()), nonce: nonce.toLowerCase() };
+}
+
+function sameAuthorization(a, b) {
+  return a.token === b.token && a.from === b.from && a.nonce === b.nonce;
+}
+
+function executed(receipt, { token, from, nonce }) {
+  return (receipt.logs || []).some(
+    (log) =>
+      log.address?.toLowerCase() === token &&
+      log.topics?.[0] === AUTHORIZATION_USED_TOPIC &&
+      log.topics[1]?.toLowerCase() === from &&
+      log.topics[2]?.toLowerCase() === nonce
+  );
+}
+
+export function createBatchingSigner(
+  signer,
+  { multicallAddress, windowMs = DEFAULT_WINDOW_MS, maxBatchSize = DEFAULT_MAX_BATCH_SIZE }
+) {
+  if (!multicallAddress) throw new Error("Batched settlement needs a multicall address");
+  let waiting = [];
+  let timer = null;
+  const batches = new Map();
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const items = waiting;
+    waiting = [];
+    if (items.length === 0) return;
+
+    if (items.length === 1) {
+      signer.writeContract(items[0].args).then(items[0].resolve, items[0].reject);
+      return;
+    }
+
+    const calls = items.map((item) => ({
+      target: item.args.address,
+      allowFailure: true,
+      callData: encodeFunctionData(item.args),
+    }));
+    signer
+      .writeContract({ address: multicallAddress, abi: MULTICALL3_ABI, functionName: "aggregate3", args: [calls] })
+      .then(
+        (hash) => {
+          batches.set(hash, { items, receipt: null });
+          console.log(`Settling ${items.length} payments in one transaction: ${hash}`);
+          items.forEach((item) => item.resolve(hash));
+        },
+        (err) => items.forEach((item) => item.reject(err))
+      );
+  }
+
+  async function waitForBatch(hash, batch) {
+    const authorization = settlementContext.getStore()?.authorization;
+    const item =
+      authorization && batch.items.find((candidate) => sameAuthorization(candidate.authorization, authorization));
+    if (!item) throw new Error(`Transaction ${hash} is a batch; its receipt must be awaited inside runSettlement`);
+    batch.receipt ||= signer.waitForTransactionReceipt({ hash });
+    try {
+      const receipt = await batch.receipt;
+      const success = receipt.status === "success" && executed(receipt, item.authorization);
+      return { ...receipt, status: success ? "success" : "reverted" };
+    } finally {
+      item.done = true;
+      if (batch.items.every((candidate) => candidate.done)) batches.delete(hash);
+    }
+  }
+
+  return {
+    ...signer,
+
+    writeContract(args) {
+      if (args.functionName !== "transferWithAuthorization") return signer.writeContract(args);
+      const context = settlementContext.getStore();
+      if (!context) return Promise.reject(new Error("Batched settlements must run inside runSettlement"));
+      const authorization = authorizationOf(args);
+      if (waiting.some((item) => sameAuthorization(item.authorization, authorization))) {
+        return Promise.reject(new Error("This authorization is already waiting for the next batch"));
+      }
+      context.authorization = authorization;
+      return new Promise((resolve, reject) => {
+        waiting.push({ args, authorization, resolve, reject });
+        if (waiting.length >= maxBatchSize) flush();
+        else timer ||= setTimeout(flush, windowMs);
+      });
+    },
+
+    waitForTransactionReceipt({ hash }) {
+      const batch = batches.get(hash);
+      return batch ? waitForBatch(hash, batch) : signer.waitForTransactionReceipt({ hash });
+    },
+
+    // Runs one settlement, so its receipt can be told apart from the others in
+    // the same batch.
+    runSettlement: (fn) => settlementContext.run({}, fn),
+
+    // Payments collected for the next batch, for /health.
+    batchStats: () => ({ waiting: waiting.length, windowMs, maxBatchSize }),
+  };
+}
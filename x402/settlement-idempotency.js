@@ -0,0 +1,136 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { recordId } from "./settlement-store.js";
+
+const AUTHORIZATION_STATE_ABI = [
+  {
+    type: "function",
+    name: "authorizationState",
+    stateMutability: "view",
+    inputs: [
+      { name: "authorizer", type: "address" },
+      { name: "nonce", type: "bytes32" },
+    ],
+    outputs: [{ name: "", type: "bool" }],
+  },
+];
+
+// Makes /settle idempotent per payment authorization (network, token, payer,
+// nonce), using the settlement store so it holds across restarts:
+//   - a settled authorization gets its original result back, nothing is sent;
+//   - a repeat call while the first is still running waits for that result;
+//   - an authorization left "settling" by a previous process is resumed: its
+//     broadcast transaction (recorded by recordBroadcasts) is awaited, and the
+//     token's authorizationState decides whether it went through or must be sent
+//     again.
+// Failed settlements may be retried and are sent again. A repeat call whose
+// payTo or amount differs from the settled or settling record fails with
+// "requirements_mismatch" instead of being handed that record's result.
+
+const settleContext = new AsyncLocalStorage();
+
+function mapSigners(signer, wrap) {
+  return typeof signer?.getAddresses === "function"
+    ? wrap(signer)
+    : Object.fromEntries(Object.entries(signer || {}).map(([network, networkSigner]) => [network, wrap(networkSigner)]));
+}
+
+// Wraps facilitator signers so the hash of every settlement transaction is written
+// to the authorization's record as soon as it is broadcast, before its receipt.
+export function recordBroadcasts(signer, store) {
+  return mapSigners(
+    signer,
+    (target) =>
+      new Proxy(target, {
+        get(object, prop) {
+          if (prop === "writeContract") {
+            return async (args) => {
+              const hash = await object.writeContract(args);
+              const context = settleContext.getStore();
+              if (context && args.functionName === "transferWithAuthorization") {
+                store.update(context.paymentPayload, context.requirements, { transaction: hash });
+              }
+              return hash;
+            };
+          }
+          const value = object[prop];
+          return typeof value === "function" ? value.bind(object) : value;
+        },
+      })
+  );
+}
+
+export function createIdempotentSettle({ facilitator, store, signerFor }) {
+  const inFlight = new Map();
+
+  function settledResponse(record) {
+    return { success: true, transaction: record.transaction || "", network: record.network, payer: record.payer };
+  }
+
+  function mismatchResponse(record) {
+    return {
+      success: false,
+      errorReason: "requirements_mismatch",
+      transaction: "",
+      network: record.network,
+      payer: record.payer,
+    };
+  }
+
+  function sameRequirements(record, requirements) {
+    return (
+      String(record.payTo).toLowerCase() === String(requirements.payTo).toLowerCase() &&
+      String(record.amount) === String(requirements.amount)
+    );
+  }
+
+  // True if the token has already executed the authorization.
+  async function authorizationUsed(record) {
+    return signerFor(record.network).readContract({
+      address: record.asset,
+      abi: AUTHORIZATION_STATE_ABI,
+      functionName: "authorizationState",
+      args: [record.payer, record.nonce],
+    });
+  }
+
+  async function resume(record, paymentPayload, requirements) {
+    if (record.transaction) {
+      await signerFor(record.network)
+        .waitForTransactionReceipt({ hash: record.transaction })
+        .catch((err) => console.error(`Waiting for ${record.transaction} failed:`, err.message));
+    }
+    if (await authorizationUsed(record)) {
+      const settled = store.update(paymentPayload, requirements, {
+        status: "settled",
+        errorReason: null,
+        settledAt: Date.now(),
+      });
+      return settledResponse(settled);
+    }
+    return settleOnce(paymentPayload, requirements);
+  }
+
+  function settleOnce(paymentPayload, requirements) {
+    return settleContext.run({ paymentPayload, requirements }, () => facilitator.settle(paymentPayload, requirements));
+  }
+
+  return function settle(paymentPayload, requirements) {
+    const id = recordId(paymentPayload, requirements);
+    if (!id) return facilitator.settle(paymentPayload, requirements);
+
+    const record = store.get(id);
+    if ((record?.status === "settled" || record?.status === "settling") && !sameRequirements(record, requirements)) {
+      return Promise.resolve(mismatchResponse(record));
+    }
+    if (inFlight.has(id)) return inFlight.get(id);
+    if (record?.status === "settled") return Promise.resolve(settledResponse(record));
+
+    const run = (
+      record?.status === "settling"
+        ? resume(record, paymentPayload, requirements)
+        : settleOnce(paymentPayload, requirements)
+    ).finally(() => inFlight.delete(id));
+    inFlight.set(id, run);
+    return run;
+  };
+}
@@ -0,0 +1,319 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from "fs";
+import { randomUUID } from "crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { SETTLEMENT_STEPS } from "./lifecycle-hooks.js";
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 2000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Marks settlements that run before the response is sent. Lifecycle hooks and
+// the facilitator client read it through settlementMode() so the timeline shows
+// settlement ahead of the response.
+const settleFirstStore = new AsyncLocalStorage();
+
+export function settlementMode() {
+  return settleFirstStore.getStore() ? "settle-first" : "verify-first";
+}
+
+export function settlementSteps() {
+  return SETTLEMENT_STEPS[settlementMode()];
+}
+
+// Entries move through: held (verified, response still being served) -> pending
+// (waiting for a settlement attempt) -> removed on success, or failed once retries
+// are exhausted. Held entries can also be skipped, which removes them unsettled.
+// Every transition is written to the journal before it takes effect, so a restart
+// resumes held and pending entries instead of dropping them. Settle-first entries
+// are the exception: their resource was never served, so a restart skips them.
+
+export function createSettlementQueue(
+  httpServer,
+  {
+    journalPath,
+    onEvent,
+    explorerTxUrl = () => null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  } = {}
+) {
+  const emit = onEvent || (() => {});
+  const entries = new Map();
+  const timers = new Map();
+  const inFlight = new Map();
+
+  function persist() {
+    if (!journalPath) return;
+    const tmpPath = `${journalPath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify([...entries.values()], null, 2));
+    renameSync(tmpPath, journalPath);
+  }
+
+  function load() {
+    if (!journalPath || !existsSync(journalPath)) return;
+    try {
+      const saved = JSON.parse(readFileSync(journalPath, "utf-8"));
+      if (!Array.isArray(saved)) return;
+      saved.forEach((entry) => entries.set(entry.id, entry));
+    } catch (err) {
+      console.error(`Settlement journal at ${journalPath} is unreadable:`, err.message);
+    }
+  }
+
+  function authorizationExpired(entry) {
+    const validBefore = entry.paymentPayload?.payload?.authorization?.validBefore;
+    return validBefore !== undefined && Number(validBefore) * 1000 <= Date.now();
+  }
+
+  function schedule(id, delayMs) {
+    clearTimeout(timers.get(id));
+    const timer = setTimeout(() => {
+      timers.delete(id);
+      attemptInBackground(id);
+    }, delayMs);
+    timer.unref();
+    timers.set(id, timer);
+  }
+
+  function trackingDetails(entry) {
+    return {
+      settlementId: entry.id,
+      payer: entry.paymentPayload?.payload?.authorization?.from,
+      asset: entry.paymentRequirements?.asset,
+      amount: entry.paymentRequirements?.amount,
+    };
+  }
+
+  function emitQueued(entry) {
+    emit("settle_queued", {
+      title: "Settlement Queued",
+      description: "Verified payment recorded in the settlement journal",
+      details: { ...trackingDetails(entry), network: entry.paymentRequirements?.network },
+      actor: "server",
+    });
+  }
+
+  function drop(entry, reason) {
+    entries.delete(entry.id);
+    persist();
+    emit("settle_skipped", {
+      step: settlementSteps().completed,
+      title: "Settlement Skipped",
+      description: `Verified payment was not settled: ${reason}`,
+      details: { reason, ...trackingDetails(entry), network: entry.paymentRequirements?.network },
+      actor: "server",
+    });
+  }
+
+  function attempt(id, options) {
+    if (inFlight.has(id)) return inFlight.get(id);
+    const promise = runAttempt(id, options).finally(() => inFlight.delete(id));
+    inFlight.set(id, promise);
+    return promise;
+  }
+
+  // For attempts nobody awaits: an error (e.g. the journal cannot be written)
+  // is logged instead of becoming an unhandled rejection.
+  function attemptInBackground(id) {
+    attempt(id).catch((err) => console.error(`Settlement ${id} attempt failed:`, err.message));
+  }
+
+  // With retry disabled a failed attempt drops the entry instead of rescheduling
+  // it: the caller has not served the resource, so nothing is owed.
+  async function runAttempt(id, { retry = true } = {}) {
+    const entry = entries.get(id);
+    if (!entry || entry.status === "failed") return null;
+
+    const { paymentPayload, paymentRequirements } = entry;
+    entry.status = "pending";
+    entry.attempts += 1;
+    entry.lastAttemptAt = Date.now();
+    persist();
+
+    const steps = settlementSteps();
+    emit("settle_started", {
+      step: steps.started,
+      title: "On-Chain Settlement Started",
+      description: "Broadcasting receiveWithAuthorization transaction to blockchain",
+      details: {
+        method: "receiveWithAuthorization",
+        network: paymentRequirements?.network,
+        ...trackingDetails(entry),
+        attempt: entry.attempts,
+      },
+      actor: "facilitator",
+      target: "blockchain",
+    });
+
+    let settleResult;
+    try {
+      settleResult = await httpServer.processSettlement(paymentPayload, paymentRequirements);
+    } catch (err) {
+      settleResult = { success: false, errorReason: err.message };
+    }
+
+    if (settleResult.success) {
+      entries.delete(id);
+      persist();
+      emit("settle_completed", {
+        step: steps.completed,
+        title: "Settlement Confirmed",
+        description: "Payment transaction confirmed on blockchain",
+        details: {
+          success: true,
+          transactionHash: settleResult.transaction,
+          explorerUrl: explorerTxUrl(paymentRequirements?.network, settleResult.transaction),
+          network: paymentRequirements?.network,
+          ...trackingDetails(entry),
+        },
+        actor: "blockchain",
+        target: "facilitator",
+      });
+      return settleResult;
+    }
+
+    entry.lastError = settleResult.errorReason;
+
+    if (!retry || entry.attempts >= maxAttempts || authorizationExpired(entry)) {
+      if (retry) {
+        entry.status = "failed";
+        entry.nextAttemptAt = null;
+      } else {
+        entries.delete(id);
+      }
+      persist();
+      emit("settle_failed", {
+        step: steps.completed,
+        title: "Settlement Failed",
+        description: `Settlement failed: ${settleResult.errorReason}`,
+        details: { error: settleResult.errorReason, ...trackingDetails(entry), attempts: entry.attempts },
+        actor: "facilitator",
+        isError: true,
+      });
+      console.error(`Settlement ${id} failed after ${entry.attempts} attempt(s):`, settleResult.errorReason);
+      return settleResult;
+    }
+
+    const delayMs = Math.min(baseDelayMs * 2 ** (entry.attempts - 1), maxDelayMs);
+    entry.nextAttemptAt = Date.now() + delayMs;
+    persist();
+    emit("settle_retry_scheduled", {
+      title: "Settlement Retry Scheduled",
+      description: `Settlement attempt ${entry.attempts} failed: ${settleResult.errorReason}`,
+      details: { error: settleResult.errorReason, settlementId: id, retryInMs: delayMs },
+      actor: "facilitator",
+      isError: true,
+    });
+    console.error(`Settlement ${id} attempt ${entry.attempts} failed, retrying in ${delayMs}ms:`, settleResult.errorReason);
+    schedule(id, delayMs);
+    return settleResult;
+  }
+
+  function summarize(entry) {
+    const authorization = entry.paymentPayload?.payload?.authorization;
+    return {
+      id: entry.id,
+      status: entry.status,
+      payer: authorization?.from,
+      payTo: entry.paymentRequirements?.payTo,
+      asset: entry.paymentRequirements?.asset,
+      amount: entry.paymentRequirements?.amount,
+      network: entry.paymentRequirements?.network,
+      attempts: entry.attempts,
+      lastError: entry.lastError,
+      createdAt: entry.createdAt,
+      lastAttemptAt: entry.lastAttemptAt,
+      nextAttemptAt: entry.nextAttemptAt,
+    };
+  }
+
+  load();
+
+  return {
+    enqueue(paymentPayload, paymentRequirements, { settleFirst = false } = {}) {
+      const id = randomUUID();
+      entries.set(id, {
+        id,
+        status: "held",
+        settleFirst,
+        paymentPayload,
+        paymentRequirements,
+        attempts: 0,
+        lastError: null,
+        createdAt: Date.now(),
+        lastAttemptAt: null,
+        nextAttemptAt: null,
+      });
+      persist();
+      emitQueued(entries.get(id));
+      return id;
+    },
+
+    release(id) {
+      const entry = entries.get(id);
+      if (!entry || entry.status !== "held") return;
+      entry.status = "pending";
+      persist();
+      attemptInBackground(id);
+    },
+
+    // Drops a held entry without settling it, e.g. when the handler failed and the
+    // route's policy says the payer should not be charged.
+    skip(id, reason) {
+      const entry = entries.get(id);
+      if (!entry || entry.status !== "held") return;
+      drop(entry, reason);
+    },
+
+    // Settles a held entry immediately and resolves with the settlement result,
+    // for callers that must not serve the resource until payment has landed.
+    settleNow(id) {
+      const entry = entries.get(id);
+      if (!entry || entry.status !== "held") {
+        return Promise.resolve({ success: false, errorReason: "Unknown or already released settlement" });
+      }
+      return settleFirstStore.run(true, () => attempt(id, { retry: false }));
+    },
+
+    resume() {
+      let resumed = 0;
+      for (const entry of [...entries.values()]) {
+        if (entry.status === "failed") continue;
+        if (entry.settleFirst) {
+          drop(entry, "Settle-first request was interrupted before its resource was served");
+          continue;
+        }
+        entry.status = "pending";
+        emitQueued(entry);
+        const delayMs = Math.max(0, (entry.nextAttemptAt || 0) - Date.now());
+        schedule(entry.id, delayMs);
+        resumed += 1;
+      }
+      persist();
+      if (resumed > 0) {
+        console.log(`Resumed ${resumed} unsettled payment(s) from the settlement journal`);
+      }
+      return resumed;
+    },
+
+    retry(id) {
+      const entry = entries.get(id);
+      if (!entry || entry.status !== "failed") return false;
+      entry.status = "pending";
+      entry.attempts = 0;
+      entry.nextAttemptAt = null;
+      persist();
+      attemptInBackground(id);
+      return true;
+    },
+
+    getBacklog() {
+      const all = [...entries.values()].map(summarize);
+      return {
+        pending: all.filter((entry) => entry.status !== "failed"),
+        failed: all.filter((entry) => entry.status === "failed"),
+      };
+    },
+  };
+}
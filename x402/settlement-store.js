@@ -0,0 +1,172 @@
+import { readFileSync, writeFileSync, appendFileSync, renameSync, existsSync } from "fs";
+
+const DEFAULT_MAX_RECORDS = 10000;
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+const FILTERS = ["payer", "payTo", "status", "network", "asset", "transaction"];
+
+// One record per payment authorization the facilitator has seen, keyed by
+// network, asset, payer and nonce, and updated as it moves through:
+// verified | verify_failed -> settling -> settled | settle_failed.
+// Records carry payer, payTo, amount, asset, network, nonce, the transaction hash,
+// the error reason of the last failure and a timestamp (ms) for each stage. With
+// a path, every change appends the updated record to a JSON-lines log, in which
+// the last line for an id wins; the log is compacted once it holds twice
+// maxRecords lines. Beyond maxRecords the oldest records are dropped.
+
+export function recordId(paymentPayload, requirements) {
+  const authorization = paymentPayload?.payload?.authorization;
+  if (!authorization?.from || !authorization?.nonce || !requirements) return null;
+  return [requirements.network, requirements.asset, authorization.from, authorization.nonce].join(":").toLowerCase();
+}
+
+function parseTime(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+export function createSettlementStore({ path, maxRecords = DEFAULT_MAX_RECORDS } = {}) {
+  const records = new Map();
+  let logLines = 0;
+
+  function set(record) {
+    records.delete(record.id);
+    records.set(record.id, record);
+    while (records.size > maxRecords) records.delete(records.keys().next().value);
+  }
+
+  function compact() {
+    const tmpPath = `${path}.tmp`;
+    writeFileSync(tmpPath, [...records.values()].map((record) => `${JSON.stringify(record)}\n`).join(""));
+    renameSync(tmpPath, path);
+    logLines = records.size;
+  }
+
+  function append(record) {
+    if (!path) return;
+    appendFileSync(path, `${JSON.stringify(record)}\n`);
+    logLines += 1;
+    if (logLines > maxRecords * 2) compact();
+  }
+
+  // A line cut short by a crash mid-append is skipped, and the log rewritten so
+  // the next append does not continue it.
+  function load() {
+    if (!path || !existsSync(path)) return;
+    let unreadable = 0;
+    for (const line of readFileSync(path, "utf-8").split("\n")) {
+      if (!line.trim()) continue;
+      logLines += 1;
+      try {
+        set(JSON.parse(line));
+      } catch {
+        unreadable += 1;
+      }
+    }
+    if (unreadable > 0) {
+      console.error(`Skipped ${unreadable} unreadable line(s) in the settlement store at ${path}`);
+      compact();
+    }
+  }
+
+  load();
+
+  return {
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    // Creates or updates the record of a payment authorization with the fields in
+    // `changes`. Returns the record, or null if the payload has no authorization.
+    update(paymentPayload, requirements, changes) {
+      const id = recordId(paymentPayload, requirements);
+      if (!id) return null;
+      const now = Date.now();
+      const authorization = paymentPayload.payload.authorization;
+      const record = records.get(id) || {
+        id,
+        network: requirements.network,
+        asset: requirements.asset,
+        payer: authorization.from,
+        payTo: requirements.payTo,
+        amount: requirements.amount,
+        nonce: authorization.nonce,
+        status: null,
+        transaction: null,
+        errorReason: null,
+        createdAt: now,
+      };
+      const updated = { ...record, ...changes, updatedAt: now };
+      set(updated);
+      append(updated);
+      return updated;
+    },
+
+    // Records matching every given filter (payer, payTo, status, network, asset,
+    // transaction, and since/until on updatedAt as ms or an ISO date) and the
+    // optional predicate, most recently updated first.
+    list(filters = {}, predicate = () => true) {
+      const since = parseTime(filters.since);
+      const until = parseTime(filters.until);
+      const limit = Math.min(Number(filters.limit) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+      const wanted = FILTERS.filter((field) => filters[field] !== undefined);
+
+      const matches = [];
+      for (const record of [...records.values()].reverse()) {
+        if (wanted.some((field) => String(record[field]).toLowerCase() !== String(filters[field]).toLowerCase())) {
+          continue;
+        }
+        if (since !== undefined && record.updatedAt < since) continue;
+        if (until !== undefined && record.updatedAt > until) continue;
+        if (!predicate(record)) continue;
+        matches.push(record);
+        if (matches.length >= limit) break;
+      }
+      return matches;
+    },
+  };
+}
+
+// Facilitator lifecycle hooks that keep the store up to date; pass them to
+// createFacilitator({ hooks }) next to any others. A settled record is final:
+// a later attempt with the same authorization (a replay) does not change it.
+export function createSettlementRecorder(store) {
+  function record(paymentPayload, requirements, changes) {
+    if (store.get(recordId(paymentPayload, requirements))?.status === "settled") return;
+    store.update(paymentPayload, requirements, changes);
+  }
+
+  return {
+    async onAfterVerify({ paymentPayload, requirements, result }) {
+      record(
+        paymentPayload,
+        requirements,
+        result?.isValid
+          ? { status: "verified", errorReason: null, verifiedAt: Date.now() }
+          : { status: "verify_failed", errorReason: result?.invalidReason || "invalid_payment" }
+      );
+    },
+
+    async onVerifyFailure({ paymentPayload, requirements, error }) {
+      record(paymentPayload, requirements, { status: "verify_failed", errorReason: error?.message });
+    },
+
+    async onBeforeSettle({ paymentPayload, requirements }) {
+      record(paymentPayload, requirements, { status: "settling", errorReason: null });
+    },
+
+    async onAfterSettle({ paymentPayload, requirements, result }) {
+      record(paymentPayload, requirements, {
+        status: result?.success ? "settled" : "settle_failed",
+        transaction: result?.transaction || null,
+        errorReason: result?.success ? null : result?.errorReason || "settlement_failed",
+        ...(result?.success && { settledAt: Date.now() }),
+      });
+    },
+
+    async onSettleFailure({ paymentPayload, requirements, error }) {
+      record(paymentPayload, requirements, { status: "settle_failed", errorReason: error?.message });
+    },
+  };
+}
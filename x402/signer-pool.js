@@ -0,0 +1,117 @@
+import WalletAccountEvmX402Facilitator from "@semanticpay/wdk-wallet-evm-x402-facilitator";
+import WalletManagerEvm from "@tetherto/wdk-wallet-evm";
+import { formatEther, parseEther } from "viem";
+import { createTransactionManager } from "./transaction-manager.js";
+
+const DEFAULT_MIN_GAS_BALANCE = "0.01";
+const DEFAULT_BALANCE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Spreads settlements over several facilitator accounts derived from one mnemonic.
+// Each member is a WalletAccountEvmX402Facilitator behind its own transaction
+// manager, so members have independent nonces and settle in parallel. A new
+// transaction goes to the least busy member that has enough native balance for
+// gas; its receipt is awaited through the same member. Balances are re-read every
+// balanceCheckIntervalMs, and a member falling below minGasBalance is skipped
+// (with a warning) until it is topped up, unless every member is low.
+
+export function createSignerPool(
+  members,
+  { minGasBalance = DEFAULT_MIN_GAS_BALANCE, balanceCheckIntervalMs = DEFAULT_BALANCE_CHECK_INTERVAL_MS } = {}
+) {
+  if (members.length === 0) throw new Error("A signer pool needs at least one account");
+  const threshold = parseEther(String(minGasBalance));
+  const balances = new Map();
+  const owners = new Map();
+
+  const address = (member) => member.signer.getAddresses()[0];
+  const load = (member) => {
+    const { queued, pending } = member.signer.transactionStats();
+    return queued + pending.length;
+  };
+  const funded = (member) => !balances.has(member) || balances.get(member) >= threshold;
+
+  async function checkBalances() {
+    await Promise.all(
+      members.map(async (member) => {
+        try {
+          const balance = await member.account.getBalance();
+          if (balance < threshold && funded(member)) {
+            console.warn(`Facilitator signer ${address(member)} is low on gas: ${formatEther(balance)}`);
+          }
+          balances.set(member, balance);
+        } catch (err) {
+          console.error(`Balance check for ${address(member)} failed:`, err.message);
+        }
+      })
+    );
+  }
+
+  checkBalances();
+  setInterval(checkBalances, balanceCheckIntervalMs).unref();
+
+  function pick() {
+    const candidates = members.filter(funded);
+    return (candidates.length > 0 ? candidates : members).reduce((best, member) =>
+      load(member) < load(best) ? member : best
+    );
+  }
+
+  async function send(method, args) {
+    const member = pick();
+    const hash = await member.signer[method](args);
+    owners.set(hash, member);
+    return hash;
+  }
+
+  return {
+    getAddresses: () => members.map(address),
+    readContract: (args) => members[0].signer.readContract(args),
+    verifyTypedData: (args) => members[0].signer.verifyTypedData(args),
+    getCode: (args) => members[0].signer.getCode(args),
+    writeContract: (args) => send("writeContract", args),
+    sendTransaction: (args) => send("sendTransaction", args),
+
+    async waitForTransactionReceipt({ hash }) {
+      const member = owners.get(hash) || members[0];
+      try {
+        return await member.signer.waitForTransactionReceipt({ hash });
+      } finally {
+        owners.delete(hash);
+      }
+    },
+
+    // Per-member state for /health.
+    signerStats() {
+      return members.map((member) => {
+        const { queued, pending } = member.signer.transactionStats();
+        const balance = balances.get(member);
+        return {
+          address: address(member),
+          queued,
+          pending: pending.length,
+          balance: balance === undefined ? null : formatEther(balance),
+          lowBalance: !funded(member),
+        };
+      });
+    },
+  };
+}
+
+// Derives `size` facilitator accounts (indexes 0..size-1) on one network and pools
+// them. Options other than size and rpcUrl go to createSignerPool, except
+// transactions, which is passed to each member's transaction manager.
+export async function createDerivedSignerPool(mnemonic, { size = 1, rpcUrl, transactions = {}, ...options }) {
+  const wallet = new WalletManagerEvm(mnemonic, { provider: rpcUrl });
+  const accounts = await Promise.all(Array.from({ length: size }, (_, index) => wallet.getAccount(index)));
+  return createSignerPool(
+    accounts.map((account) => ({
+      account,
+      signer: createTransactionManager(new WalletAccountEvmX402Facilitator(account), {
+        account,
+        rpcUrl,
+        ...transactions,
+      }),
+    })),
+    options
+  );
+}
@@ -0,0 +1,367 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { readFileSync, writeFileSync, renameSync, existsSync, openSync, closeSync, statSync, rmSync } from "fs";
+import { formatUnits, parseUnits } from "viem";
+import { wrapFetchWithPayment } from "@x402/fetch";
+
+// Budget policy for the paying client: a price cap per request, daily caps per
+// host and overall, and an allowlist of assets. Payments that would break it are
+// refused before anything is signed. Limits are in USD, valued like route prices
+// through the chain registry (token decimals and usdPrice), so payments in
+// different tokens add up; a token missing from the registry cannot be valued
+// and is refused while any USD limit is set.
+//
+// Spend is counted per UTC day when an authorization is signed and stays counted
+// whatever the server answers: a signed authorization can be settled until its
+// validBefore, even after a 402. Only a payment abandoned before signing is given
+// back. The counter is persisted in ledgerPath; every check-and-count holds a
+// lock file next to it, so processes sharing a wallet share its budget.
+
+const USD_DECIMALS = 18;
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const LEDGER_DAYS = 31;
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+
+const DEFAULT_LEDGER_PATH = new URL("./spend-ledger.json", import.meta.url).pathname;
+
+const requestContext = new AsyncLocalStorage();
+
+function refusal(reasons) {
+  return Object.assign(new Error(`Payment refused by spending policy: ${reasons.join("; ")}`), {
+    code: "spending_limit_exceeded",
+    reasons,
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function usd(value) {
+  return `$${formatUnits(value, USD_DECIMALS)}`;
+}
+
+// Parses "api.example.com=5,localhost:4021=0.5" (SPEND_HOST_LIMITS_USD).
+function parseHostLimits(value) {
+  if (!value || typeof value === "object") return value || {};
+  return Object.fromEntries(
+    value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const index = entry.lastIndexOf("=");
+        return index > 0 ? [entry.slice(0, index).trim(), entry.slice(index + 1).trim()] : [entry, ""];
+      })
+  );
+}
+
+export function createSpendingPolicy({
+  registry,
+  maxPerRequestUsd,
+  maxPerDayUsd,
+  maxPerHostPerDayUsd,
+  hostLimitsUsd,
+  allowedAssets,
+  ledgerPath = DEFAULT_LEDGER_PATH,
+}) {
+  if (!registry) throw new Error("The spending policy needs the chain registry");
+  const errors = [];
+  const limit = (name, value) => {
+    if (value === undefined || value === null || value === "") return null;
+    if (!DECIMAL_PATTERN.test(String(value))) {
+      errors.push(`${name} must be a decimal USD amount, got "${value}"`);
+      return null;
+    }
+    return parseUnits(String(value), USD_DECIMALS);
+  };
+
+  const limits = {
+    perRequest: limit("maxPerRequestUsd", maxPerRequestUsd),
+    perDay: limit("maxPerDayUsd", maxPerDayUsd),
+    perHostPerDay: limit("maxPerHostPerDayUsd", maxPerHostPerDayUsd),
+  };
+  const hostLimits = Object.fromEntries(
+    Object.entries(parseHostLimits(hostLimitsUsd)).map(([host, value]) => [
+      host.toLowerCase(),
+      limit(`host limit for ${host}`, value),
+    ])
+  );
+  const assets =
+    typeof allowedAssets === "string"
+      ? allowedAssets
+          .split(",")
+          .map((asset) => asset.trim())
+          .filter(Boolean)
+      : allowedAssets;
+  if (errors.length > 0) throw new Error(`Spending policy is invalid:\n  ${errors.join("\n  ")}`);
+
+  const valued =
+    limits.perRequest !== null ||
+    limits.perDay !== null ||
+    limits.perHostPerDay !== null ||
+    Object.keys(hostLimits).length > 0;
+
+  function loadLedger() {
+    if (!ledgerPath || !existsSync(ledgerPath)) return { days: {} };
+    try {
+      const saved = JSON.parse(readFileSync(ledgerPath, "utf-8"));
+      return saved?.days ? saved : { days: {} };
+    } catch (err) {
+      console.error(`Spend ledger at ${ledgerPath} is unreadable:`, err.message);
+      return { days: {} };
+    }
+  }
+
+  let ledger = loadLedger();
+
+  // Picks up spend recorded by other processes sharing the ledger file.
+  function reload() {
+    if (ledgerPath) ledger = loadLedger();
+  }
+
+  // Runs fn on a freshly read ledger while holding `${ledgerPath}.lock`, so the
+  // check and the write cannot interleave with another process. Calls in this
+  // process take turns, and a lock held elsewhere is retried every LOCK_RETRY_MS
+  // without blocking the event loop. A lock older than LOCK_STALE_MS was left by
+  // a process that died holding it.
+  let lockQueue = Promise.resolve();
+
+  async function acquireLock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        closeSync(openSync(lockPath, "wx"));
+        return;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+      let stale = false;
+      try {
+        stale = Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+      } catch {
+        continue; // released in between
+      }
+      if (stale) {
+        rmSync(lockPath, { force: true });
+      } else if (Date.now() > deadline) {
+        throw new Error(`Spend ledger ${ledgerPath} is locked by another process (${lockPath})`);
+      } else {
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  function withLedgerLock(fn) {
+    if (!ledgerPath) return Promise.resolve().then(fn);
+    const lockPath = `${ledgerPath}.lock`;
+    const run = lockQueue.then(async () => {
+      await acquireLock(lockPath);
+      try {
+        reload();
+        return fn();
+      } finally {
+        rmSync(lockPath, { force: true });
+      }
+    });
+    lockQueue = run.catch(() => {});
+    return run;
+  }
+
+  function saveLedger() {
+    const days = Object.keys(ledger.days).sort().slice(-LEDGER_DAYS);
+    ledger = { days: Object.fromEntries(days.map((day) => [day, ledger.days[day]])) };
+    if (!ledgerPath) return;
+    const tmpPath = `${ledgerPath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(ledger, null, 2));
+    renameSync(tmpPath, ledgerPath);
+  }
+
+  function dayEntry(day) {
+    ledger.days[day] ||= { totalUsd: "0", count: 0, hosts: {} };
+    return ledger.days[day];
+  }
+
+  // USD value of a payment option in USD_DECIMALS fixed point, or null if its
+  // token is not in the registry.
+  function valueOf({ network, asset, amount }) {
+    const token = registry.networks.includes(network) ? registry.findToken(network, asset) : null;
+    if (!token) return null;
+    const price = parseUnits(String(token.usdPrice ?? 1), USD_DECIMALS);
+    return (BigInt(amount) * price) / 10n ** BigInt(token.decimals);
+  }
+
+  function assetAllowed({ network, asset }) {
+    if (!assets?.length) return true;
+    const symbol = registry.networks.includes(network) ? registry.findToken(network, asset)?.symbol : null;
+    return assets.some(
+      (entry) => entry.toLowerCase() === asset.toLowerCase() || (symbol && entry.toLowerCase() === symbol.toLowerCase())
+    );
+  }
+
+  // Reasons the payment option would break the policy on `host`, empty if none.
+  function violations(requirements, host) {
+    const reasons = [];
+    if (!assetAllowed(requirements)) {
+      reasons.push(`asset ${requirements.asset} on ${requirements.network} is not allowed`);
+    }
+    if (!valued) return reasons;
+
+    const value = valueOf(requirements);
+    if (value === null) {
+      reasons.push(`asset ${requirements.asset} on ${requirements.network} has no known USD price`);
+      return reasons;
+    }
+    const day = ledger.days[today()];
+    const spentToday = BigInt(day?.totalUsd || 0);
+    const spentOnHost = BigInt(day?.hosts[host] || 0);
+    const hostLimit = hostLimits[host] ?? limits.perHostPerDay;
+
+    if (limits.perRequest !== null && value > limits.perRequest) {
+      reasons.push(`price ${usd(value)} is above the ${usd(limits.perRequest)} per-request limit`);
+    }
+    if (limits.perDay !== null && spentToday + value > limits.perDay) {
+      reasons.push(`${usd(spentToday)} already spent today, the daily limit is ${usd(limits.perDay)}`);
+    }
+    if (hostLimit !== null && hostLimit !== undefined && spentOnHost + value > hostLimit) {
+      reasons.push(`${usd(spentOnHost)} already spent on ${host} today, its daily limit is ${usd(hostLimit)}`);
+    }
+    return reasons;
+  }
+
+  return {
+    // Options that fit the policy on `host`. Throws the refusal when none does.
+    filter(requirements, host) {
+      reload();
+      const reasons = [];
+      const allowed = requirements.filter((option) => {
+        const found = violations(option, host);
+        reasons.push(...found);
+        return found.length === 0;
+      });
+      if (allowed.length === 0) throw refusal([...new Set(reasons)]);
+      return allowed;
+    },
+
+    // Checks the chosen option once more and counts it. Resolves to the spend to
+    // hand back to refund(), or rejects with the refusal.
+    reserve(requirements, host) {
+      return withLedgerLock(() => {
+        const reasons = violations(requirements, host);
+        if (reasons.length > 0) throw refusal(reasons);
+        const value = valueOf(requirements) ?? 0n;
+        const spend = { day: today(), host, value };
+        const entry = dayEntry(spend.day);
+        entry.totalUsd = (BigInt(entry.totalUsd) + value).toString();
+        entry.hosts[host] = (BigInt(entry.hosts[host] || 0) + value).toString();
+        entry.count += 1;
+        saveLedger();
+        return spend;
+      });
+    },
+
+    // Gives back a reserved spend whose authorization was never signed. A signed
+    // one must stay counted, since it can still be settled.
+    refund({ day, host, value }) {
+      return withLedgerLock(() => {
+        const entry = ledger.days[day];
+        if (!entry) return;
+        entry.totalUsd = (BigInt(entry.totalUsd) - value).toString();
+        entry.hosts[host] = (BigInt(entry.hosts[host] || 0) - value).toString();
+        entry.count -= 1;
+        saveLedger();
+      });
+    },
+
+    // Today's spend, in USD, overall and per host.
+    spentToday() {
+      reload();
+      const entry = ledger.days[today()] || { totalUsd: "0", count: 0, hosts: {} };
+      return {
+        day: today(),
+        totalUsd: formatUnits(BigInt(entry.totalUsd), USD_DECIMALS),
+        count: entry.count,
+        hosts: Object.fromEntries(
+          Object.entries(entry.hosts).map(([host, value]) => [host, formatUnits(BigInt(value), USD_DECIMALS)])
+        ),
+      };
+    },
+  };
+}
+
+// Spending policy options from the SPEND_* environment variables documented in
+// the README.
+export function spendingPolicyOptionsFromEnv(env = process.env) {
+  return {
+    maxPerRequestUsd: env.SPEND_MAX_PER_REQUEST_USD,
+    maxPerDayUsd: env.SPEND_MAX_PER_DAY_USD,
+    maxPerHostPerDayUsd: env.SPEND_MAX_PER_HOST_PER_DAY_USD,
+    hostLimitsUsd: env.SPEND_HOST_LIMITS_USD,
+    allowedAssets: env.SPEND_ALLOWED_ASSETS,
+    ...(env.SPEND_LEDGER_PATH && { ledgerPath: env.SPEND_LEDGER_PATH }),
+  };
+}
+
+// Like wrapFetchWithPayment, but every payment must fit `policy`. Offers that do
+// not are dropped from the server's payment options, so an allowed one can still
+// be chosen; if none is left the returned fetch rejects with an error whose code
+// is "spending_limit_exceeded" and whose reasons list what was broken. With a
+// trustPolicy (x402/trust-policy.js) offers are first checked against it, and
+// when none can be trusted the code is "untrusted_payment_requirements". Register
+// the client's schemes and other policies before calling this.
+export function wrapFetchWithSpendingPolicy(fetchFn, client, policy, { trustPolicy } = {}) {
+  client.registerPolicy((version, requirements) => {
+    const attempt = requestContext.getStore();
+    if (!attempt) return requirements;
+    try {
+      const trusted = trustPolicy ? trustPolicy.filter(requirements, attempt.host) : requirements;
+      return policy.filter(trusted, attempt.host);
+    } catch (err) {
+      attempt.refusal = err;
+      throw err;
+    }
+  });
+
+  client.onBeforePaymentCreation(async ({ selectedRequirements }) => {
+    const attempt = requestContext.getStore();
+    if (!attempt) return;
+    try {
+      attempt.spend = await policy.reserve(selectedRequirements, attempt.host);
+    } catch (err) {
+      attempt.refusal = err;
+      return { abort: true, reason: err.message };
+    }
+  });
+
+  client.onAfterPaymentCreation(async () => {
+    const attempt = requestContext.getStore();
+    if (attempt) attempt.signed = true;
+  });
+
+  const fetchWithPayment = wrapFetchWithPayment(fetchFn, client);
+
+  return async (input, init) => {
+    const host = new URL(input instanceof Request ? input.url : input).host.toLowerCase();
+    const attempt = { host, spend: null, signed: false, refusal: null };
+    return requestContext.run(attempt, async () => {
+      try {
+        return await fetchWithPayment(input, init);
+      } catch (err) {
+        // Nothing was signed, so nothing can be settled: the spend is given back.
+        // Once signed, the authorization stays settleable whatever the server
+        // answers, so the spend is kept even for a 402.
+        if (attempt.spend && !attempt.signed) {
+          await policy.refund(attempt.spend).catch((refundErr) =>
+            console.error("Refunding unsigned spend failed:", refundErr.message)
+          );
+        }
+        throw attempt.refusal || err;
+      }
+    });
+  };
+}
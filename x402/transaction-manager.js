@@ -0,0 +1,163 @@
+import { encodeFunctionData } from "viem";
+import { createJsonRpc } from "./json-rpc.js";
+
+const DEFAULT_STUCK_AFTER_MS = 30 * 1000;
+const DEFAULT_GAS_BUMP_PERCENT = 20;
+const DEFAULT_MAX_BUMPS = 3;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_RECEIPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const NONCE_ERROR = /nonce too low|nonce has already been used|already known|replacement transaction underpriced/i;
+
+// Wraps a facilitator signer (WalletAccountEvmX402Facilitator) so settlements sent
+// from one account never race for its nonce: transactions are submitted one at a
+// time through the WDK account with an explicitly assigned nonce, and each stays
+// tracked as pending until its receipt arrives. A transaction still unmined after
+// stuckAfterMs is replaced at the same nonce with fees raised by gasBumpPercent, up
+// to maxBumps times. waitForTransactionReceipt resolves with whichever replacement
+// is mined; settle responses still carry the first hash, so a bumped settlement
+// shows up under the hash it was first sent with.
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function bump(fees, percent) {
+  const raise = (value) => (value * BigInt(100 + percent)) / 100n;
+  return fees.gasPrice !== undefined
+    ? { gasPrice: raise(fees.gasPrice) }
+    : { maxFeePerGas: raise(fees.maxFeePerGas), maxPriorityFeePerGas: raise(fees.maxPriorityFeePerGas) };
+}
+
+export function createTransactionManager(
+  signer,
+  {
+    account,
+    rpcUrl,
+    stuckAfterMs = DEFAULT_STUCK_AFTER_MS,
+    gasBumpPercent = DEFAULT_GAS_BUMP_PERCENT,
+    maxBumps = DEFAULT_MAX_BUMPS,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    receiptTimeoutMs = DEFAULT_RECEIPT_TIMEOUT_MS,
+  }
+) {
+  if (!account || !rpcUrl) throw new Error("The transaction manager needs the WDK account and its RPC URL");
+  const address = signer.getAddresses()[0];
+  const pending = new Map();
+  let nextNonce = null;
+  let queued = 0;
+  let tail = Promise.resolve();
+  const rpc = createJsonRpc(rpcUrl);
+
+  async function currentFees() {
+    const block = await rpc("eth_getBlockByNumber", ["latest", false]);
+    if (!block?.baseFeePerGas) return { gasPrice: BigInt(await rpc("eth_gasPrice")) };
+    const maxPriorityFeePerGas = BigInt(await rpc("eth_maxPriorityFeePerGas"));
+    return { maxFeePerGas: BigInt(block.baseFeePerGas) * 2n + maxPriorityFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // Runs sends one after another, so each one sees the nonce its predecessor took.
+  function serialize(task) {
+    queued += 1;
+    const run = tail.then(task).finally(() => {
+      queued -= 1;
+    });
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  function submit(to, data) {
+    return serialize(async () => {
+      const nonce = nextNonce ?? Number(await rpc("eth_getTransactionCount", [address, "pending"]));
+      const fees = await currentFees();
+      let hash;
+      try {
+        ({ hash } = await account.sendTransaction({ to, value: 0n, data, nonce, ...fees }));
+      } catch (err) {
+        if (NONCE_ERROR.test(err.message)) nextNonce = null;
+        throw err;
+      }
+      nextNonce = nonce + 1;
+      pending.set(nonce, { nonce, to, data, fees, hashes: [hash], sentAt: Date.now(), bumps: 0 });
+      return hash;
+    });
+  }
+
+  // Re-sends a stuck transaction at its nonce with higher fees. A nonce error means
+  // one of its earlier versions was mined meanwhile, which the receipt poll picks up.
+  function replace(entry) {
+    entry.bumping = true;
+    return serialize(async () => {
+      const fees = bump(entry.fees, gasBumpPercent);
+      try {
+        const { hash } = await account.sendTransaction({
+          to: entry.to,
+          value: 0n,
+          data: entry.data,
+          nonce: entry.nonce,
+          ...fees,
+        });
+        entry.hashes.push(hash);
+        entry.fees = fees;
+        entry.bumps += 1;
+        console.warn(`Transaction at nonce ${entry.nonce} stuck, replaced by ${hash} (bump ${entry.bumps})`);
+      } catch (err) {
+        if (!NONCE_ERROR.test(err.message)) console.error(`Gas bump at nonce ${entry.nonce} failed:`, err.message);
+      } finally {
+        entry.sentAt = Date.now();
+        entry.bumping = false;
+      }
+    });
+  }
+
+  async function waitForTransactionReceipt({ hash }) {
+    const entry = [...pending.values()].find((candidate) => candidate.hashes.includes(hash));
+    const hashes = entry ? entry.hashes : [hash];
+    const deadline = Date.now() + receiptTimeoutMs;
+
+    while (Date.now() < deadline) {
+      for (const candidate of [...hashes]) {
+        const receipt = await rpc("eth_getTransactionReceipt", [candidate]);
+        if (receipt) {
+          if (entry) pending.delete(entry.nonce);
+          return { ...receipt, status: receipt.status === "0x1" ? "success" : "reverted" };
+        }
+      }
+      if (entry && !entry.bumping && entry.bumps < maxBumps && Date.now() - entry.sentAt >= stuckAfterMs) {
+        await replace(entry);
+      }
+      await sleep(pollIntervalMs);
+    }
+
+    // Give up on it; the next send re-reads the pending nonce from the chain.
+    if (entry) pending.delete(entry.nonce);
+    nextNonce = null;
+    throw new Error(`Transaction ${hash} was not mined within ${receiptTimeoutMs / 1000}s`);
+  }
+
+  return {
+    getAddresses: () => signer.getAddresses(),
+    readContract: (args) => signer.readContract(args),
+    verifyTypedData: (args) => signer.verifyTypedData(args),
+    getCode: (args) => signer.getCode(args),
+    writeContract: ({ address: contract, abi, functionName, args }) =>
+      submit(contract, encodeFunctionData({ abi, functionName, args })),
+    sendTransaction: ({ to, data }) => submit(to, data),
+    waitForTransactionReceipt,
+
+    // Queue depth for /health: sends waiting for their turn, and transactions
+    // sent but not yet mined.
+    transactionStats() {
+      const now = Date.now();
+      return {
+        queued,
+        pending: [...pending.values()].map((entry) => ({
+          nonce: entry.nonce,
+          hash: entry.hashes[entry.hashes.length - 1],
+          bumps: entry.bumps,
+          ageSeconds: Math.round((now - entry.sentAt) / 1000),
+        })),
+      };
+    },
+  };
+}
@@ -0,0 +1,116 @@
+import { isAddress, zeroAddress } from "viem";
+
+// Checks who and what the client is about to pay before anything is signed. A
+// 402 response is chosen by the server, so a compromised or malicious one could
+// ask for payment to any address, in any token, on any network. An offered
+// option is only trusted when:
+//
+// - its network is in the chain registry,
+// - its asset is a registry token on that network (unless allowUnknownTokens),
+//   and its extra decimals, name and version match the registry's, so the
+//   client never signs for a look-alike contract or a mismatched EIP-712 domain,
+// - its amount is a positive whole number of base units,
+// - its payTo is a real address and, when payees are configured, one of those
+//   trusted for the requesting host.
+//
+// Untrusted options are logged and dropped; see wrapFetchWithSpendingPolicy.
+
+// Parses "api.example.com=0xabc...|0xdef...,localhost:4021=0x..." (TRUSTED_PAYEES).
+function parsePayees(value) {
+  if (!value || typeof value === "object") return value || {};
+  return Object.fromEntries(
+    value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const index = entry.lastIndexOf("=");
+        const host = index > 0 ? entry.slice(0, index).trim() : entry;
+        const addresses = index > 0 ? entry.slice(index + 1).split("|") : [];
+        return [host, addresses.map((address) => address.trim()).filter(Boolean)];
+      })
+  );
+}
+
+function refusal(reasons) {
+  return Object.assign(new Error(`Payment refused by trust policy: ${reasons.join("; ")}`), {
+    code: "untrusted_payment_requirements",
+    reasons,
+  });
+}
+
+export function createTrustPolicy({ registry, payees, allowUnknownTokens = false }) {
+  if (!registry) throw new Error("The trust policy needs the chain registry");
+  const errors = [];
+  const trustedPayees = new Map();
+  for (const [host, addresses] of Object.entries(parsePayees(payees))) {
+    const list = [].concat(addresses);
+    if (list.length === 0) errors.push(`${host} has no payee addresses`);
+    for (const address of list) {
+      if (!isAddress(address, { strict: false })) errors.push(`${host}: "${address}" is not an address`);
+    }
+    trustedPayees.set(host.toLowerCase(), new Set(list.map((address) => address.toLowerCase())));
+  }
+  if (errors.length > 0) throw new Error(`Trust policy is invalid:\n  ${errors.join("\n  ")}`);
+
+  // Reasons the payment option cannot be trusted on `host`, empty if none.
+  function violations({ network, asset, amount, payTo, extra }, host) {
+    const reasons = [];
+    if (!registry.networks.includes(network)) {
+      reasons.push(`network ${network} is not in the chain registry`);
+    } else {
+      const token = registry.findToken(network, asset);
+      if (token) {
+        if (extra?.decimals !== undefined && Number(extra.decimals) !== token.decimals) {
+          reasons.push(`${token.symbol} has ${token.decimals} decimals, not ${extra.decimals}`);
+        }
+        const domainMismatch =
+          (extra?.name !== undefined && extra.name !== token.name) ||
+          (extra?.version !== undefined && extra.version !== token.version);
+        if (domainMismatch) {
+          reasons.push(
+            `EIP-712 domain ${extra.name ?? token.name} v${extra.version ?? token.version} does not match ${token.symbol} (${token.name} v${token.version})`
+          );
+        }
+      } else if (!allowUnknownTokens) {
+        reasons.push(`asset ${asset} is not a known token on ${registry.describe(network)}`);
+      }
+    }
+    if (!/^\d+$/.test(String(amount)) || BigInt(amount) === 0n) {
+      reasons.push(`amount ${amount} is not a positive number of base units`);
+    }
+    if (!isAddress(String(payTo), { strict: false }) || payTo.toLowerCase() === zeroAddress) {
+      reasons.push(`payTo ${payTo} is not a valid recipient`);
+    } else if (trustedPayees.size > 0) {
+      const trusted = trustedPayees.get(host);
+      if (!trusted) reasons.push(`no payees are trusted for ${host}`);
+      else if (!trusted.has(payTo.toLowerCase())) reasons.push(`payTo ${payTo} is not a trusted payee for ${host}`);
+    }
+    return reasons;
+  }
+
+  return {
+    // Options that can be trusted on `host`. Logs every rejected option and
+    // throws the refusal when none is left.
+    filter(requirements, host) {
+      const reasons = [];
+      const trusted = requirements.filter((option) => {
+        const found = violations(option, host);
+        if (found.length === 0) return true;
+        console.error(`Rejected payment requirements from ${host} (${found.join("; ")}):`, JSON.stringify(option));
+        reasons.push(...found);
+        return false;
+      });
+      if (trusted.length === 0) throw refusal([...new Set(reasons)]);
+      return trusted;
+    },
+  };
+}
+
+// Trust policy options from the environment variables documented in the README.
+export function trustPolicyOptionsFromEnv(env = process.env) {
+  return {
+    payees: env.TRUSTED_PAYEES,
+    allowUnknownTokens: env.ALLOW_UNKNOWN_TOKENS === "true",
+  };
+}
@@ -0,0 +1,114 @@
+import { createHmac, randomUUID, timingSafeEqual } from "crypto";
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30 * 1000;
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+// Lifecycle webhooks carry three headers: X-Event-Id (stable across retries, for
+// deduplication), X-Event-Timestamp (unix seconds) and X-Event-Signature, an
+// HMAC-SHA256 of "<timestamp>.<id>.<body>" with the shared secret. The id is
+// signed so a receiver can trust it for deduplication.
+
+function sign(secret, timestamp, id, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${id}.${body}`).digest("hex")}`;
+}
+
+// Checks a delivery against the shared secret. id and body must be the
+// X-Event-Id header and the raw request body exactly as received; deliveries
+// older than toleranceSeconds are rejected so a captured request cannot be
+// replayed later.
+export function verifyWebhookSignature({
+  secret,
+  id,
+  body,
+  timestamp,
+  signature,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+}) {
+  if (!secret || !id || !timestamp || !signature) return false;
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, id, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// An entry allows callback URLs on the same origin whose path is the entry's
+// path or below it, so "http://localhost:4021/" allows any path on that server and
+// "https://api.example.com/x402/events" only that endpoint (and below it).
+function parseAllowlist(allowlist) {
+  const entries = typeof allowlist === "string" ? allowlist.split(",") : allowlist || [];
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => new URL(entry));
+}
+
+export function createWebhookSender({
+  allowlist,
+  secret,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+}) {
+  if (!secret) throw new Error("A webhook secret is required to sign lifecycle events");
+  const allowed = parseAllowlist(allowlist);
+
+  function isAllowed(callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch {
+      return false;
+    }
+    return allowed.some(
+      (entry) =>
+        url.origin === entry.origin &&
+        (url.pathname === entry.pathname ||
+          url.pathname.startsWith(entry.pathname.endsWith("/") ? entry.pathname : `${entry.pathname}/`))
+    );
+  }
+
+  async function deliver(callbackUrl, id, body, attempt) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let error;
+    try {
+      const response = await fetch(callbackUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Event-Id": id,
+          "X-Event-Timestamp": timestamp,
+          "X-Event-Signature": sign(secret, timestamp, id, body),
+        },
+        body,
+        redirect: "manual",
+      });
+      if (response.ok) return;
+      error = `HTTP ${response.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (attempt >= maxAttempts) {
+      console.error(`Giving up on webhook ${id} to ${callbackUrl} after ${attempt} attempt(s): ${error}`);
+      return;
+    }
+    const delayMs = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+    setTimeout(() => deliver(callbackUrl, id, body, attempt + 1), delayMs).unref();
+  }
+
+  return {
+    isAllowed,
+
+    // Signs and POSTs the event in the background, retrying with exponential
+    // backoff. Returns false without sending if the URL is not allowlisted.
+    send(callbackUrl, event) {
+      if (!isAllowed(callbackUrl)) return false;
+      deliver(callbackUrl, randomUUID(), JSON.stringify(event), 1);
+      return true;
+    },
+  };
+}